@@ -0,0 +1,150 @@
+/**
+ * accounts.js
+ * Registry of the Probo accounts the server can use, each with its own API key, URL and mode
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { getSettingErrors } from './config.js';
+
+// Name of the account configured with PROBO_API_KEY, PROBO_API_URL and PROBO_API_MODE
+const DEFAULT_ACCOUNT_NAME = 'default';
+
+const API_MODES = ['test', 'production'];
+
+// Account used when a tool call or session does not select one
+const DEFAULT_ACCOUNT = process.env.PROBO_DEFAULT_ACCOUNT;
+
+// Named accounts, comma separated. Each is configured with PROBO_ACCOUNT_<NAME>_API_KEY,
+// PROBO_ACCOUNT_<NAME>_API_URL and PROBO_ACCOUNT_<NAME>_API_MODE.
+const ACCOUNT_NAMES = (process.env.PROBO_ACCOUNTS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+// Accounts are read once, but only checked when they are used, so a missing
+// key or a setting that is not valid does not stop the server from starting
+const accounts = readAccounts();
+
+// Account selected for the current tool call
+const accountContext = new AsyncLocalStorage();
+
+/**
+ * Get an account, checking its configuration
+ * @param {string} [name] - Account name (default: the account selected for the current call)
+ * @returns {Object} Account with name, apiKey, apiUrl and mode
+ * @throws {Error} When the account does not exist or is not configured correctly
+ */
+export function getAccount(name = getAccountName()) {
+  const account = accounts.get(name);
+  
+  if (!account) {
+    throw new Error(`Unknown Probo account "${name}", the accounts are: ${[...accounts.keys()].join(', ') || 'none'}`);
+  }
+  
+  const errors = getAccountErrors(account);
+  if (errors.length > 0) {
+    throw new Error(`Probo account "${name}" is not configured correctly: ${errors.join(', ')}. Check the accounts with listAccounts`);
+  }
+  
+  return account;
+}
+
+/**
+ * Name of the account selected for the current call
+ * @returns {string} Account name, the default account unless one was selected
+ */
+export function getAccountName() {
+  return accountContext.getStore() || getDefaultAccountName();
+}
+
+/**
+ * Name of the account used when none is selected
+ * @returns {string} Account name
+ */
+export function getDefaultAccountName() {
+  return DEFAULT_ACCOUNT || (accounts.has(DEFAULT_ACCOUNT_NAME) ? DEFAULT_ACCOUNT_NAME : ACCOUNT_NAMES[0]);
+}
+
+/**
+ * Run a function with an account selected
+ * The account is checked when it is used, not here.
+ * @param {string} [name] - Account name, the current account is kept when not given
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function withAccount(name, fn) {
+  return accountContext.run(name || accountContext.getStore(), fn);
+}
+
+/**
+ * List the accounts and their configuration, without the API keys
+ * @returns {Array<Object>} Accounts with name, api_url, mode, default and any configuration errors
+ */
+export function listAccounts() {
+  const defaultName = getDefaultAccountName();
+  
+  return [...accounts.values()].map(account => {
+    const errors = getAccountErrors(account);
+    
+    return {
+      name: account.name,
+      api_url: account.apiUrl,
+      mode: account.mode,
+      default: account.name === defaultName,
+      configured: errors.length === 0,
+      errors,
+    };
+  });
+}
+
+/**
+ * Configuration errors of an account, including the settings shared by all accounts
+ */
+function getAccountErrors(account) {
+  return [...account.errors, ...getSettingErrors()];
+}
+
+function readAccounts() {
+  const registry = new Map();
+  
+  // The default account is left out when only named accounts are configured
+  if (process.env.PROBO_API_KEY || ACCOUNT_NAMES.length === 0) {
+    registry.set(DEFAULT_ACCOUNT_NAME, readAccount(DEFAULT_ACCOUNT_NAME, 'PROBO_'));
+  }
+  
+  ACCOUNT_NAMES.forEach(name => {
+    registry.set(name, readAccount(name, `PROBO_ACCOUNT_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`));
+  });
+  
+  return registry;
+}
+
+function readAccount(name, prefix) {
+  const apiKey = process.env[`${prefix}API_KEY`];
+  const mode = process.env[`${prefix}API_MODE`] || 'test';
+  const errors = [];
+  
+  // API_URL=mock points the account at the local mock server (see mockServer.js)
+  const apiUrl = process.env[`${prefix}API_URL`] === 'mock'
+    ? `http://127.0.0.1:${process.env.PROBO_MOCK_PORT || 4010}`
+    : process.env[`${prefix}API_URL`] || 'https://api.proboprints.com';
+  
+  if (!apiKey) {
+    errors.push(`${prefix}API_KEY is not set`);
+  }
+  
+  if (!API_MODES.includes(mode)) {
+    errors.push(`${prefix}API_MODE must be "test" or "production"`);
+  }
+  
+  if (!URL.canParse(apiUrl)) {
+    errors.push(`${prefix}API_URL is not a valid URL`);
+  }
+  
+  return { name, apiKey, apiUrl, mode, errors };
+}
+
+export default {
+  getAccount,
+  getAccountName,
+  getDefaultAccountName,
+  withAccount,
+  listAccounts,
+};
@@ -0,0 +1,64 @@
+/**
+ * apiSpec.js
+ * Loads probo-api-spec.json with the additions the client relies on
+ */
+
+import { readFileSync } from 'fs';
+
+const spec = JSON.parse(readFileSync(new URL('./probo-api-spec.json', import.meta.url), 'utf8'));
+
+// Email fields are plain strings in the spec. Mark them so tool inputs catch typos early.
+Object.values(spec.definitions).forEach(definition => {
+  Object.entries(definition.properties || {}).forEach(([name, property]) => {
+    if (property.type === 'string' && (name === 'email' || name.endsWith('_email'))) {
+      property.format = 'email';
+    }
+  });
+});
+
+/**
+ * Looks up a schema by JSON pointer, e.g. "#/definitions/Code/properties/options/items"
+ * @param {string} pointer - JSON pointer into the spec
+ * @returns {Object} Schema at the pointer
+ */
+export function getSchema(pointer) {
+  const schema = pointer
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], spec);
+  
+  if (!schema) {
+    throw new Error(`No schema found in the API spec at ${pointer}`);
+  }
+  
+  return schema;
+}
+
+/**
+ * Body schema of an API operation
+ * @param {string} method - HTTP method
+ * @param {string} path - API path as written in the spec
+ * @returns {Object|null} Body schema, or null when the operation has no body
+ */
+export function getRequestBodySchema(method, path) {
+  const parameters = spec.paths[path]?.[method.toLowerCase()]?.parameters || [];
+  return parameters.find(parameter => parameter.in === 'body')?.schema || null;
+}
+
+/**
+ * Description of an API operation
+ * @param {string} method - HTTP method
+ * @param {string} path - API path as written in the spec
+ * @returns {string} Operation description
+ */
+export function getOperationDescription(method, path) {
+  const operation = spec.paths[path]?.[method.toLowerCase()];
+  
+  if (!operation) {
+    throw new Error(`No ${method.toUpperCase()} ${path} operation in the API spec`);
+  }
+  
+  return operation.description || operation.summary || '';
+}
+
+export default spec;
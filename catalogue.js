@@ -0,0 +1,294 @@
+/**
+ * catalogue.js
+ * Local copy of the Probo product catalogue, kept up to date with incremental syncs
+ */
+
+import { readFileSync, renameSync, statSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { getAccount } from './accounts.js';
+import './config.js';
+import { createLogger } from './logger.js';
+import { getProduct, getProducts } from './proboClient.js';
+
+const log = createLogger('catalogue');
+
+// File the catalogue is kept in, next to the server unless PROBO_CATALOGUE_PATH is set
+const CATALOGUE_PATH = process.env.PROBO_CATALOGUE_PATH || fileURLToPath(new URL('./.probo-catalogue.json', import.meta.url));
+
+// Set PROBO_CATALOGUE_CACHE=false to search and look up products in the live API
+const CATALOGUE_ENABLED = process.env.PROBO_CATALOGUE_CACHE !== 'false';
+
+// The catalogue is refreshed when it is used and older than this
+const CATALOGUE_TTL_MS = (Number(process.env.PROBO_CATALOGUE_TTL_MINUTES) || 60) * 60 * 1000;
+
+// Incremental syncs do not see removed products, so the whole catalogue is fetched this often
+const FULL_SYNC_INTERVAL_MS = (Number(process.env.PROBO_CATALOGUE_FULL_SYNC_HOURS) || 7 * 24) * 60 * 60 * 1000;
+
+// Products per page while syncing, the most the API returns
+const SYNC_PAGE_SIZE = 50;
+
+// Syncs in progress, keyed by account name, so concurrent calls share one sync
+const syncs = new Map();
+
+// Catalogues as last read or written, and the modification time of the file then.
+// The file is only parsed again when another process changed it.
+let loaded = { catalogues: null, modifiedMs: null };
+
+/**
+ * Search the products in the catalogue
+ * The catalogue is synced first when it is missing or older than the TTL. When
+ * that fails, the stale catalogue is searched and the error is reported.
+ * @param {string} [query] - Text to find in the product code or title
+ * @param {Object} [options={}] - Pagination with page and per_page, and the language of
+ *   the titles to search (English when the product has no title in it; all titles when omitted)
+ * @returns {Promise<Object>} Products and pagination meta as from GET /products, and the catalogue status
+ */
+export async function searchCatalogue(query = '', options = {}) {
+  if (!CATALOGUE_ENABLED) {
+    return getProducts(query, options);
+  }
+  
+  const { catalogue, refreshError } = await getFreshCatalogue();
+  const page = Math.max(options.page || 1, 1);
+  const perPage = Math.max(options.per_page || 20, 1);
+  const search = query.toLowerCase();
+  
+  const titles = product => {
+    const translations = product.translations || {};
+    if (!options.language) {
+      return Object.values(translations).map(translation => translation.title);
+    }
+    
+    return [(translations[options.language] || translations.en)?.title];
+  };
+  
+  const matches = Object.values(catalogue.products).filter(product => !search
+    || product.code.toLowerCase().includes(search)
+    || titles(product).some(title => (title || '').toLowerCase().includes(search)));
+  
+  return {
+    products: matches.slice((page - 1) * perPage, page * perPage),
+    meta: {
+      page,
+      pages: Math.max(Math.ceil(matches.length / perPage), 1),
+      items: matches.length,
+      per_page: perPage,
+    },
+    catalogue: getCatalogueStatus(catalogue, refreshError),
+  };
+}
+
+/**
+ * Get a product with its full option tree, from the catalogue when possible
+ * A stored product is used until the product's updated_at in the catalogue changes.
+ * @param {string} productCode - Product code
+ * @param {string} [language='en'] - Language code used for option names
+ * @param {Array<string>} [uploaderApplications=[]] - Uploader applications to include in the product data
+ * @returns {Promise<Object>} Product as from getProduct, with the catalogue status
+ */
+export async function getCatalogueProduct(productCode, language = 'en', uploaderApplications = []) {
+  if (!CATALOGUE_ENABLED) {
+    return getProduct(productCode, language, uploaderApplications);
+  }
+  
+  const { catalogue, refreshError } = await getFreshCatalogue();
+  const listed = catalogue.products[productCode];
+  const key = [productCode, language, ...uploaderApplications].join('/');
+  const stored = catalogue.details[key];
+  
+  if (listed && stored && stored.updated_at === listed.updated_at) {
+    log.debug('Product found in the catalogue', { code: productCode, language });
+    return { ...stored.product, catalogue: getCatalogueStatus(catalogue, refreshError) };
+  }
+  
+  const product = await getProduct(productCode, language, uploaderApplications);
+  
+  // Products that are not in the catalogue are not stored, there is nothing to tell when they change
+  if (listed) {
+    updateCatalogue(getAccount().name, current => {
+      current.details[key] = { updated_at: listed.updated_at, fetched_at: new Date().toISOString(), product };
+    });
+  }
+  
+  return { ...product, catalogue: { ...getCatalogueStatus(catalogue, refreshError), source: 'api' } };
+}
+
+/**
+ * Sync the catalogue with Probo
+ * An incremental sync fetches the products updated since the day before the
+ * last sync. A full sync fetches all products and drops the ones that are gone.
+ * @param {Object} [settings={}] - Sync settings
+ * @param {boolean} [settings.full=false] - Fetch all products, also when an incremental sync is possible
+ * @returns {Promise<Object>} Sync mode, number of products fetched and in the catalogue, and the sync time
+ */
+export async function syncCatalogue(settings = {}) {
+  if (!CATALOGUE_ENABLED) {
+    throw new Error('The catalogue is disabled with PROBO_CATALOGUE_CACHE=false');
+  }
+  
+  const account = getAccount().name;
+  
+  // A sync that is already running for the account is awaited instead of starting another
+  if (!syncs.has(account)) {
+    syncs.set(account, runSync(account, Boolean(settings.full)).finally(() => syncs.delete(account)));
+  }
+  
+  return syncs.get(account);
+}
+
+async function runSync(account, forceFull) {
+  const startedAt = new Date();
+  const previous = readCatalogues()[account];
+  const full = forceFull || !previous || startedAt - Date.parse(previous.full_synced_at) > FULL_SYNC_INTERVAL_MS;
+  
+  // The filter works by day, in the time zone of Probo rather than UTC. Starting a day
+  // before the last sync catches products updated around midnight; they are fetched again.
+  const filters = full ? {} : {
+    updated_at_from: new Date(Date.parse(previous.synced_at) - 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+  };
+  
+  log.info('Syncing the catalogue', { account, mode: full ? 'full' : 'incremental', ...filters });
+  const products = await fetchAllProducts(filters);
+  
+  const catalogue = updateCatalogue(account, current => {
+    if (full) {
+      current.products = {};
+      current.full_synced_at = startedAt.toISOString();
+    }
+    
+    products.forEach(product => {
+      current.products[product.code] = product;
+    });
+    
+    // Stored products that changed or are gone are fetched again when they are used
+    Object.entries(current.details).forEach(([key, detail]) => {
+      const listed = current.products[key.split('/')[0]];
+      if (!listed || listed.updated_at !== detail.updated_at) {
+        delete current.details[key];
+      }
+    });
+    
+    current.synced_at = startedAt.toISOString();
+  });
+  
+  const result = {
+    mode: full ? 'full' : 'incremental',
+    fetched: products.length,
+    products: Object.keys(catalogue.products).length,
+    synced_at: catalogue.synced_at,
+    duration_ms: Date.now() - startedAt.getTime(),
+  };
+  
+  log.info('Synced the catalogue', { account, ...result });
+  return result;
+}
+
+/**
+ * Catalogue of the current account, synced first when it is missing or stale
+ */
+async function getFreshCatalogue() {
+  const account = getAccount().name;
+  const catalogue = readCatalogues()[account];
+  
+  if (catalogue && Date.now() - Date.parse(catalogue.synced_at) <= CATALOGUE_TTL_MS) {
+    return { catalogue, refreshError: null };
+  }
+  
+  try {
+    await syncCatalogue();
+    return { catalogue: readCatalogues()[account], refreshError: null };
+  } catch (error) {
+    if (!catalogue) {
+      throw error;
+    }
+    
+    log.warn('Could not refresh the catalogue, using the stale catalogue', { account, synced_at: catalogue.synced_at, error: error.message });
+    return { catalogue, refreshError: error.message };
+  }
+}
+
+async function fetchAllProducts(filters) {
+  const products = [];
+  
+  for (let page = 1; ; page++) {
+    const result = await getProducts('', { page, per_page: SYNC_PAGE_SIZE, ...filters });
+    products.push(...result.products);
+    
+    if (result.products.length === 0 || page >= (result.meta.pages || 1)) {
+      return products;
+    }
+  }
+}
+
+/**
+ * How fresh the catalogue is, added to results served from it
+ */
+function getCatalogueStatus(catalogue, refreshError) {
+  const ageMs = Date.now() - Date.parse(catalogue.synced_at);
+  
+  return {
+    source: 'catalogue',
+    synced_at: catalogue.synced_at,
+    age_minutes: Math.floor(ageMs / 60000),
+    stale: ageMs > CATALOGUE_TTL_MS,
+    ...(refreshError ? { refresh_error: refreshError } : {}),
+  };
+}
+
+/**
+ * Change the catalogue of an account and write it through to disk
+ * @param {string} account - Account name
+ * @param {Function} update - Changes the catalogue in place
+ * @returns {Object} The updated catalogue
+ */
+function updateCatalogue(account, update) {
+  const catalogues = readCatalogues();
+  const catalogue = catalogues[account] || { synced_at: null, full_synced_at: null, products: {}, details: {} };
+  
+  update(catalogue);
+  catalogues[account] = catalogue;
+  
+  // Write to a temporary file first so a crash cannot leave a half-written catalogue
+  const temporaryPath = `${CATALOGUE_PATH}.tmp`;
+  writeFileSync(temporaryPath, JSON.stringify({ accounts: catalogues }));
+  renameSync(temporaryPath, CATALOGUE_PATH);
+  loaded = { catalogues, modifiedMs: getModifiedMs() };
+  
+  return catalogue;
+}
+
+/**
+ * Catalogues of all accounts, kept in memory and read from disk when the file changed
+ */
+function readCatalogues() {
+  const modifiedMs = getModifiedMs();
+  if (loaded.catalogues && modifiedMs === loaded.modifiedMs) {
+    return loaded.catalogues;
+  }
+  
+  let catalogues = {};
+  try {
+    catalogues = JSON.parse(readFileSync(CATALOGUE_PATH, 'utf8')).accounts || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.warn('Could not read the catalogue, starting with an empty catalogue', { path: CATALOGUE_PATH, error: error.message });
+    }
+  }
+  
+  loaded = { catalogues, modifiedMs };
+  return catalogues;
+}
+
+function getModifiedMs() {
+  try {
+    return statSync(CATALOGUE_PATH).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+export default {
+  searchCatalogue,
+  getCatalogueProduct,
+  syncCatalogue,
+};
@@ -19,7 +19,9 @@ async function testClient() {
     // Connect to the server
     await client.connect(new StdioClientTransport({
       command: 'node',
-      args: ['server.js']
+      args: ['server.js'],
+      // Pass the environment through so PROBO_API_URL=mock reaches the server
+      env: process.env,
     }));
     
     console.log('Connected to server successfully!');
@@ -28,11 +30,33 @@ async function testClient() {
     // Define tools we know are available
     const toolNames = [
       'searchProducts',
+      'getProduct',
+      'syncCatalogue',
+      'getProductTiers',
+      'listCustomerProducts',
+      'getCustomerProduct',
       'configureProduct',
+      'startConfiguration',
+      'answerConfiguration',
+      'createUploader',
+      'preflightArtwork',
       'placeOrder',
+      'prepareOrder',
+      'confirmOrder',
+      'createDraft',
+      'getOrderPrice',
+      'listShippingMethods',
       'getOrderStatus',
       'getAllOrders',
-      'cancelOrder'
+      'createProject',
+      'listProjects',
+      'createTicket',
+      'listTickets',
+      'cancelOrder',
+      'submitHeldOrder',
+      'releaseOrder',
+      'listAccounts',
+      'selectAccount'
     ];
     
     console.log(`Expected available tools (${toolNames.length}):`);
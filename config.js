@@ -0,0 +1,37 @@
+/**
+ * config.js
+ * Loads the environment from .env. Modules that read process.env when they are
+ * evaluated import this module first, so the file is loaded once and in time.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Settings that are not valid. They do not stop the server from starting, they are
+// reported with the accounts, like an account without API key.
+const settingErrors = [];
+
+/**
+ * Record an error when a setting is not valid
+ * @param {boolean} valid - Whether the setting is valid
+ * @param {string} message - What is wrong with the setting
+ */
+export function checkSetting(valid, message) {
+  if (!valid) {
+    settingErrors.push(message);
+  }
+}
+
+/**
+ * Errors of the settings that are not valid
+ * @returns {Array<string>} Error messages, empty when all settings are valid
+ */
+export function getSettingErrors() {
+  return [...settingErrors];
+}
+
+export default {
+  checkSetting,
+  getSettingErrors,
+};
@@ -0,0 +1,249 @@
+/**
+ * configurationSession.js
+ * Guided product configuration, one option at a time
+ */
+
+import { randomUUID } from 'crypto';
+import { getAccount, withAccount } from './accounts.js';
+import { createLogger } from './logger.js';
+import { configureProducts, getOrderPrice } from './proboClient.js';
+
+const log = createLogger('configurationSession');
+
+// Sessions that are not used for this long are dropped
+const SESSION_TTL_MS = 60 * 60 * 1000;
+
+// Option types that are answered with a value instead of by choosing an option
+const VALUE_TYPE_CODES = ['width', 'height', 'length', 'amount', 'input', 'number'];
+
+// Open sessions, keyed by session ID
+const sessions = new Map();
+
+/**
+ * Start a configuration session for a product
+ * The session keeps using the Probo account it was started with.
+ * @param {string} productCode - Probo product code
+ * @param {Object} [settings={}] - Session settings
+ * @param {string} [settings.language='en'] - Language code
+ * @param {Array<Object>} [settings.options=[]] - Options that are already known
+ * @returns {Promise<Object>} Session with the next option to answer, or the finished configuration
+ */
+export async function startConfiguration(productCode, settings = {}) {
+  removeExpiredSessions();
+  
+  const session = {
+    id: randomUUID(),
+    productCode,
+    account: getAccount().name,
+    language: settings.language || 'en',
+    options: [],
+    question: null,
+    calculationId: null,
+    updatedAt: Date.now(),
+  };
+  
+  log.info('Starting configuration session', { session_id: session.id, code: productCode });
+  
+  const result = await advance(session, settings.options || []);
+  if (result.status !== 'complete') {
+    sessions.set(session.id, session);
+  }
+  
+  return result;
+}
+
+/**
+ * Answer the current option of a configuration session
+ * @param {string} sessionId - Session ID from startConfiguration
+ * @param {Object} answer - Answer to the current option
+ * @param {string} answer.code - Code of the chosen value, or of the option itself for value options
+ * @param {string|number} [answer.value] - Value for options like width, height and amount
+ * @returns {Promise<Object>} Session with the next option to answer, or the finished configuration
+ */
+export async function answerConfiguration(sessionId, answer) {
+  removeExpiredSessions();
+  
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw new Error(`Configuration session ${sessionId} not found, it may have expired. Start a new one.`);
+  }
+  
+  const option = toOption(session.question, answer);
+  log.info('Answering configuration option', { session_id: sessionId, option });
+  
+  // The session only changes once Probo accepts the answer
+  const result = await withAccount(session.account, () => advance(session, [...session.options, option]));
+  if (result.status === 'complete') {
+    sessions.delete(sessionId);
+  }
+  
+  return result;
+}
+
+/**
+ * Configure the product with the given options and work out what to ask next
+ */
+async function advance(session, options) {
+  const result = await configureProducts(
+    [{ code: session.productCode, options }],
+    null,
+    session.language,
+    { defaultDimensions: false }
+  );
+  
+  // The configuration may be wrapped in a value key
+  const data = result.value || result;
+  const product = data.products?.[0] || {};
+  
+  session.options = options;
+  session.calculationId = data.calculation_id ?? null;
+  session.updatedAt = Date.now();
+  
+  if (product.can_order) {
+    return completeSession(session);
+  }
+  
+  session.question = getNextQuestion(product.available_options || []);
+  if (!session.question) {
+    throw new Error(`Product ${session.productCode} cannot be ordered yet, but Probo returned no options to choose from`);
+  }
+  
+  return {
+    status: 'in_progress',
+    session_id: session.id,
+    product_code: session.productCode,
+    answered: session.options,
+    next_option: session.question,
+  };
+}
+
+/**
+ * Price the finished configuration so it is ready for placeOrder
+ */
+async function completeSession(session) {
+  const configuration = {
+    language: session.language,
+    products: [{ code: session.productCode, options: session.options }],
+  };
+  
+  const result = {
+    status: 'complete',
+    session_id: session.id,
+    product_code: session.productCode,
+    calculation_id: session.calculationId,
+    configuration,
+  };
+  
+  try {
+    result.prices = (await getOrderPrice(configuration)).prices;
+  } catch (error) {
+    // The configuration is still usable, the price can be requested again later
+    result.price_error = error.message;
+  }
+  
+  return result;
+}
+
+/**
+ * Turn the options Probo offers next into a single question
+ * @param {Array<Object>} availableOptions - available_options from /products/configure
+ * @returns {Object|null} Question with its allowed values or limits
+ */
+function getNextQuestion(availableOptions) {
+  const [first] = availableOptions;
+  if (!first) {
+    return null;
+  }
+  
+  // A parent option is a question with its children as values
+  if (first.children && first.children.length > 0) {
+    return {
+      code: first.code,
+      name: first.name,
+      type: 'choice',
+      values: first.children.map(formatChoice),
+    };
+  }
+  
+  if (isValueOption(first)) {
+    return {
+      code: first.code,
+      name: first.name,
+      type: 'value',
+      min_value: first.min_value ?? null,
+      max_value: first.max_value ?? null,
+    };
+  }
+  
+  // Otherwise the options themselves are the values to choose from
+  const choices = availableOptions.filter(option => !isValueOption(option) && !option.children?.length);
+  
+  return {
+    code: null,
+    name: first.parent_name || first.name,
+    type: 'choice',
+    values: choices.map(formatChoice),
+  };
+}
+
+function formatChoice(option) {
+  const choice = {
+    code: option.code,
+    name: option.name,
+  };
+  
+  if (option.description) {
+    choice.description = option.description;
+  }
+  
+  return choice;
+}
+
+function isValueOption(option) {
+  return VALUE_TYPE_CODES.includes(option.type_code)
+    || (option.min_value !== undefined && option.min_value !== null);
+}
+
+/**
+ * Check an answer against the current question and turn it into a product option
+ */
+function toOption(question, answer) {
+  if (question.type === 'value') {
+    const value = Number(answer.value);
+    
+    if (answer.value === undefined || answer.value === null || answer.value === '' || Number.isNaN(value)) {
+      throw new Error(`${question.name || question.code} needs a numeric value`);
+    }
+    
+    const min = question.min_value !== null ? Number(question.min_value) : null;
+    const max = question.max_value !== null ? Number(question.max_value) : null;
+    if ((min !== null && value < min) || (max !== null && value > max)) {
+      throw new Error(`${question.name || question.code} must be between ${min ?? '-'} and ${max ?? '-'}`);
+    }
+    
+    return { code: question.code, value: answer.value };
+  }
+  
+  const choice = question.values.find(value => value.code === answer.code);
+  if (!choice) {
+    const allowed = question.values.map(value => value.code).join(', ');
+    throw new Error(`"${answer.code}" is not a value for ${question.name || question.code}, choose one of: ${allowed}`);
+  }
+  
+  return { code: choice.code };
+}
+
+function removeExpiredSessions() {
+  const now = Date.now();
+  
+  sessions.forEach((session, id) => {
+    if (now - session.updatedAt > SESSION_TTL_MS) {
+      sessions.delete(id);
+    }
+  });
+}
+
+export default {
+  startConfiguration,
+  answerConfiguration,
+};
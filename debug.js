@@ -11,7 +11,10 @@ dotenv.config();
 
 // Initialize API configuration
 const PROBO_API_KEY = process.env.PROBO_API_KEY;
-const PROBO_API_URL = process.env.PROBO_API_URL || 'https://api.proboprints.com';
+// PROBO_API_URL=mock points at the local mock server (npm run mock)
+const PROBO_API_URL = process.env.PROBO_API_URL === 'mock'
+  ? `http://127.0.0.1:${process.env.PROBO_MOCK_PORT || 4010}`
+  : process.env.PROBO_API_URL || 'https://api.proboprints.com';
 
 if (!PROBO_API_KEY) {
   throw new Error('PROBO_API_KEY environment variable must be set');
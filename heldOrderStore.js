@@ -0,0 +1,86 @@
+/**
+ * heldOrderStore.js
+ * Local record of orders placed on hold, so they survive a restart until they are submitted
+ */
+
+import { readFileSync, renameSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('heldOrderStore');
+
+// File the held orders are kept in, next to the server unless PROBO_HELD_ORDER_STORE is set
+const STORE_PATH = process.env.PROBO_HELD_ORDER_STORE || fileURLToPath(new URL('./.probo-held-orders.json', import.meta.url));
+
+/**
+ * Keep an order on hold
+ * @param {string} account - Probo account the order is placed with
+ * @param {Object} orderPayload - Order in API format
+ * @param {Object} request - The placeOrder arguments, production orders are prepared from them when submitted
+ * @returns {Object} The held order with held_at
+ */
+export function holdOrder(account, orderPayload, request) {
+  const orders = readHeldOrders();
+  
+  orders[getKey(account, orderPayload.id)] = {
+    account,
+    held_at: new Date().toISOString(),
+    order: orderPayload,
+    request,
+  };
+  
+  writeHeldOrders(orders);
+  return orders[getKey(account, orderPayload.id)];
+}
+
+/**
+ * Held order of an account
+ * @param {string} account - Probo account name
+ * @param {string} orderId - Order ID
+ * @returns {Object|null} The held order with held_at, or null when there is none
+ */
+export function findHeldOrder(account, orderId) {
+  return readHeldOrders()[getKey(account, orderId)] || null;
+}
+
+/**
+ * Stop holding an order, once it was submitted
+ * @param {string} account - Probo account name
+ * @param {string} orderId - Order ID
+ */
+export function removeHeldOrder(account, orderId) {
+  const orders = readHeldOrders();
+  
+  delete orders[getKey(account, orderId)];
+  writeHeldOrders(orders);
+}
+
+function getKey(account, orderId) {
+  return `${account}/${orderId}`;
+}
+
+function writeHeldOrders(orders) {
+  // Write to a temporary file first so a crash cannot leave a half-written store
+  const temporaryPath = `${STORE_PATH}.tmp`;
+  writeFileSync(temporaryPath, JSON.stringify({ orders }, null, 2));
+  renameSync(temporaryPath, STORE_PATH);
+}
+
+function readHeldOrders() {
+  try {
+    return JSON.parse(readFileSync(STORE_PATH, 'utf8')).orders || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.warn('Could not read the held order store, starting with an empty store', { path: STORE_PATH, error: error.message });
+    }
+    
+    return {};
+  }
+}
+
+export default {
+  holdOrder,
+  findHeldOrder,
+  removeHeldOrder,
+};
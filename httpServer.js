@@ -0,0 +1,294 @@
+/**
+ * httpServer.js
+ * Serves the MCP server over HTTP, so one server can be shared by a team.
+ * Streamable HTTP is served on /mcp, the older HTTP+SSE transport on /sse and /messages.
+ */
+
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import http from 'http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('httpServer');
+
+// Address to listen on. Only local clients can connect unless the host is changed.
+const HTTP_HOST = process.env.MCP_HTTP_HOST || '127.0.0.1';
+const HTTP_PORT = Number(process.env.MCP_HTTP_PORT) || 3000;
+
+// Bearer tokens that may use the server, comma separated
+const AUTH_TOKENS = parseList(process.env.MCP_AUTH_TOKENS);
+
+// Browser origins that may use the server, comma separated. Requests without
+// an Origin header do not come from a browser and are not checked.
+const ALLOWED_ORIGINS = parseList(process.env.MCP_ALLOWED_ORIGINS);
+
+// Sessions without any request for this long are closed
+const SESSION_IDLE_MS = (Number(process.env.MCP_SESSION_IDLE_MINUTES) || 60) * 60 * 1000;
+
+// Largest request body that is read, the same limit the SDK transports use
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Start the HTTP server
+ * Every session gets its own MCP server instance, from createServer.
+ * @param {Function} createServer - Returns a new McpServer with all tools registered
+ * @param {Object} [options={}] - Settings, each defaults to its environment variable
+ * @param {string} [options.host] - Host to listen on (MCP_HTTP_HOST, default 127.0.0.1)
+ * @param {number} [options.port] - Port to listen on, 0 picks a free port (MCP_HTTP_PORT, default 3000)
+ * @param {Array<string>} [options.authTokens] - Accepted bearer tokens (MCP_AUTH_TOKENS)
+ * @param {Array<string>} [options.allowedOrigins] - Allowed browser origins, or '*' (MCP_ALLOWED_ORIGINS)
+ * @returns {Promise<Object>} The listening server, its open sessions and its /mcp URL
+ */
+export function startHttpServer(createServer, options = {}) {
+  const host = options.host ?? HTTP_HOST;
+  const port = options.port ?? HTTP_PORT;
+  const authTokens = options.authTokens ?? AUTH_TOKENS;
+  const allowedOrigins = options.allowedOrigins ?? ALLOWED_ORIGINS;
+  
+  if (authTokens.length === 0) {
+    throw new Error('The HTTP transport needs at least one bearer token, set MCP_AUTH_TOKENS');
+  }
+  
+  const context = {
+    createServer,
+    tokenHashes: authTokens.map(hashToken),
+    allowedOrigins,
+    // Open sessions of both transports, keyed by session ID
+    sessions: new Map(),
+  };
+  
+  const server = http.createServer((req, res) => handleRequest(context, req, res));
+  
+  const idleCheck = setInterval(() => closeIdleSessions(context.sessions), 60 * 1000);
+  idleCheck.unref();
+  
+  server.on('close', () => {
+    clearInterval(idleCheck);
+    context.sessions.forEach(session => session.transport.close());
+  });
+  
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}/mcp`;
+      log.info('Probo MCP server listening over HTTP', { url, allowed_origins: allowedOrigins });
+      resolve({ server, sessions: context.sessions, url });
+    });
+  });
+}
+
+async function handleRequest(context, req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  
+  try {
+    if (!applyCors(req, res, context.allowedOrigins)) {
+      log.warn('HTTP request from an origin that is not allowed', { origin: req.headers.origin, path: url.pathname });
+      return sendError(res, 403, 'Origin not allowed');
+    }
+    
+    // CORS preflight requests carry no credentials
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+    
+    if (!isAuthorized(req, context.tokenHashes)) {
+      log.warn('HTTP request without a valid bearer token', { method: req.method, path: url.pathname, remote_address: req.socket.remoteAddress });
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return sendError(res, 401, 'Missing or invalid bearer token');
+    }
+    
+    if (url.pathname === '/mcp') {
+      return await handleStreamableRequest(context, req, res);
+    }
+    
+    if (url.pathname === '/sse' && req.method === 'GET') {
+      return await handleSseConnection(context, res);
+    }
+    
+    if (url.pathname === '/messages' && req.method === 'POST') {
+      return await handleSseMessage(context, req, res, url.searchParams.get('sessionId'));
+    }
+    
+    sendError(res, 404, `No route found for "${req.method} ${url.pathname}"`);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return sendError(res, 400, 'Parse error: invalid JSON in request body', -32700);
+    }
+    
+    if (error.statusCode === 413) {
+      return sendError(res, 413, error.message);
+    }
+    
+    log.error('HTTP request failed', { method: req.method, path: url.pathname, error: error.message });
+    if (!res.headersSent) {
+      sendError(res, 500, 'Internal server error', -32603);
+    } else {
+      res.end();
+    }
+  }
+}
+
+/**
+ * Streamable HTTP: POST messages, GET the server's event stream and DELETE to end the session
+ */
+async function handleStreamableRequest(context, req, res) {
+  const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+  const sessionId = req.headers['mcp-session-id'];
+  
+  if (sessionId) {
+    const session = context.sessions.get(sessionId);
+    if (!session || session.type !== 'streamable') {
+      return sendError(res, 404, 'Session not found, it may have expired. Initialize a new session.');
+    }
+    
+    session.lastUsedAt = Date.now();
+    return session.transport.handleRequest(req, res, body);
+  }
+  
+  const isInitialization = Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body);
+  if (req.method !== 'POST' || !isInitialization) {
+    return sendError(res, 400, 'Missing Mcp-Session-Id header, send an initialize request to start a session');
+  }
+  
+  const mcpServer = context.createServer();
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    onsessioninitialized: id => addSession(context.sessions, id, { type: 'streamable', transport }),
+  });
+  
+  // The MCP server takes over the transport's onclose, so listen on the server
+  mcpServer.server.onclose = () => removeSession(context.sessions, transport.sessionId);
+  
+  await mcpServer.connect(transport);
+  await transport.handleRequest(req, res, body);
+}
+
+/**
+ * HTTP+SSE fallback for older clients: GET /sse opens the event stream, which
+ * tells the client where to POST its messages
+ */
+async function handleSseConnection(context, res) {
+  const mcpServer = context.createServer();
+  const transport = new SSEServerTransport('/messages', res);
+  
+  mcpServer.server.onclose = () => removeSession(context.sessions, transport.sessionId);
+  addSession(context.sessions, transport.sessionId, { type: 'sse', transport });
+  
+  await mcpServer.connect(transport);
+}
+
+async function handleSseMessage(context, req, res, sessionId) {
+  const session = context.sessions.get(sessionId);
+  if (!session || session.type !== 'sse') {
+    return sendError(res, 404, 'Session not found, it may have expired. Open a new event stream.');
+  }
+  
+  session.lastUsedAt = Date.now();
+  await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+}
+
+function addSession(sessions, id, session) {
+  sessions.set(id, { ...session, lastUsedAt: Date.now() });
+  log.info('HTTP session started', { session_id: id, transport: session.type });
+}
+
+function removeSession(sessions, id) {
+  if (sessions.delete(id)) {
+    log.info('HTTP session closed', { session_id: id });
+  }
+}
+
+function closeIdleSessions(sessions) {
+  const now = Date.now();
+  
+  sessions.forEach((session, id) => {
+    if (now - session.lastUsedAt > SESSION_IDLE_MS) {
+      log.info('Closing idle HTTP session', { session_id: id });
+      session.transport.close();
+    }
+  });
+}
+
+/**
+ * Add the CORS headers for an allowed origin
+ * @returns {boolean} False when the request comes from an origin that is not allowed
+ */
+function applyCors(req, res, allowedOrigins) {
+  const origin = req.headers.origin;
+  if (!origin) {
+    return true;
+  }
+  
+  if (!allowedOrigins.includes('*') && !allowedOrigins.includes(origin)) {
+    return false;
+  }
+  
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept, Mcp-Session-Id, Last-Event-ID');
+  res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+  
+  return true;
+}
+
+function isAuthorized(req, tokenHashes) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) {
+    return false;
+  }
+  
+  // Hashes have the same length, so they can be compared in constant time
+  const tokenHash = hashToken(match[1].trim());
+  return tokenHashes.some(hash => timingSafeEqual(hash, tokenHash));
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest();
+}
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Error response in JSON-RPC format, as the SDK transports send them
+ */
+function sendError(res, status, message, code = -32000) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    let size = 0;
+    
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // The rest of the body is read and dropped, so the response can still be sent
+        reject(Object.assign(new Error('Request body is too large'), { statusCode: 413 }));
+        return;
+      }
+      
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : undefined);
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+export default {
+  startHttpServer,
+};
@@ -0,0 +1,168 @@
+/**
+ * logger.js
+ * Structured JSON logging to stderr or a rotating file, with secrets and personal data redacted
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { appendFileSync, existsSync, renameSync, statSync, unlinkSync } from 'fs';
+import { checkSetting } from './config.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Lowest level that is written: debug, info, warn, error or silent
+const LOG_LEVEL = process.env.PROBO_LOG_LEVEL || 'info';
+
+// Log to this file instead of stderr. Stdout is never used, it carries the MCP protocol.
+const LOG_FILE = process.env.PROBO_LOG_FILE || null;
+
+// The log file is rotated at this size, keeping this many rotated files (file.1 is the newest)
+const LOG_MAX_BYTES = Number(process.env.PROBO_LOG_MAX_BYTES) || 5 * 1024 * 1024;
+const LOG_MAX_FILES = Number(process.env.PROBO_LOG_MAX_FILES) || 5;
+
+// An unknown level is reported with the accounts, and info is used until it is fixed
+checkSetting(LOG_LEVEL in LEVELS, `PROBO_LOG_LEVEL must be one of: ${Object.keys(LEVELS).join(', ')}`);
+
+// Fields whose whole value is a credential or personal data
+const REDACTED_FIELDS = /^(authorization|password|secret|api_?key|token|.+_token|email|.+_email|phone|.+_phone|telephone|.+_telephone_number)$/i;
+
+// Credentials and personal data inside other values
+const REDACTED_PATTERNS = [
+  [/\b(Basic|Bearer)\s+[A-Za-z0-9._~+/=-]+/g, '$1 [REDACTED]'],
+  [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[REDACTED_EMAIL]'],
+  [/\+\d[\d\s-]{7,}\d/g, '[REDACTED_PHONE]'],
+];
+
+// The API keys of all accounts are also redacted wherever they appear, unless too short to tell apart
+const API_KEYS = Object.entries(process.env)
+  .filter(([name, value]) => /^PROBO_(ACCOUNT_\w+_)?API_KEY$/.test(name) && value.length >= 8)
+  .map(([, value]) => value);
+
+// Fields added to every log line written while a context is active, like the correlation id
+const logContext = new AsyncLocalStorage();
+
+let logFileSize = null;
+
+/**
+ * Create a logger for a component
+ * @param {string} component - Name of the module that logs, e.g. "proboClient"
+ * @returns {Object} Logger with debug, info, warn and error methods taking (message, fields)
+ */
+export function createLogger(component) {
+  return Object.fromEntries(
+    ['debug', 'info', 'warn', 'error'].map(level => [level, (message, fields = {}) => write(level, component, message, fields)])
+  );
+}
+
+/**
+ * Run a function with fields that are added to every log line it writes
+ * A correlation_id is generated unless one is given.
+ * @param {Object} fields - Context fields, e.g. the tool name
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function withLogContext(fields, fn) {
+  return logContext.run({ correlation_id: randomUUID(), ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Correlation id of the current context
+ * @returns {string|null} Correlation id, or null outside a context
+ */
+export function getCorrelationId() {
+  return logContext.getStore()?.correlation_id || null;
+}
+
+/**
+ * Redact credentials and personal data from a value before it is logged
+ * @param {*} value - Value to redact
+ * @returns {*} Copy of the value with secrets replaced
+ */
+export function redact(value) {
+  if (typeof value === 'string') {
+    const redacted = REDACTED_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+    return API_KEYS.reduce((text, apiKey) => text.split(apiKey).join('[REDACTED]'), redacted);
+  }
+  
+  if (value instanceof Error) {
+    return redact({ message: value.message, ...(value.data ? { data: value.data } : {}) });
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, fieldValue]) => [
+        key,
+        REDACTED_FIELDS.test(key) && fieldValue !== null && fieldValue !== '' ? '[REDACTED]' : redact(fieldValue),
+      ])
+    );
+  }
+  
+  return value;
+}
+
+function write(level, component, message, fields) {
+  if (LEVELS[level] < (LEVELS[LOG_LEVEL] ?? LEVELS.info)) {
+    return;
+  }
+  
+  const line = `${JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    component,
+    message: redact(message),
+    ...logContext.getStore(),
+    ...redact(fields),
+  })}\n`;
+  
+  if (!LOG_FILE) {
+    process.stderr.write(line);
+    return;
+  }
+  
+  try {
+    appendToLogFile(line);
+  } catch (error) {
+    // Logging must not break a tool call, fall back to stderr
+    process.stderr.write(line);
+  }
+}
+
+function appendToLogFile(line) {
+  if (logFileSize === null) {
+    logFileSize = existsSync(LOG_FILE) ? statSync(LOG_FILE).size : 0;
+  }
+  
+  const lineSize = Buffer.byteLength(line);
+  if (logFileSize > 0 && logFileSize + lineSize > LOG_MAX_BYTES) {
+    rotateLogFile();
+  }
+  
+  appendFileSync(LOG_FILE, line);
+  logFileSize += lineSize;
+}
+
+function rotateLogFile() {
+  if (existsSync(`${LOG_FILE}.${LOG_MAX_FILES}`)) {
+    unlinkSync(`${LOG_FILE}.${LOG_MAX_FILES}`);
+  }
+  
+  for (let index = LOG_MAX_FILES - 1; index >= 1; index--) {
+    if (existsSync(`${LOG_FILE}.${index}`)) {
+      renameSync(`${LOG_FILE}.${index}`, `${LOG_FILE}.${index + 1}`);
+    }
+  }
+  
+  renameSync(LOG_FILE, `${LOG_FILE}.1`);
+  logFileSize = 0;
+}
+
+export default {
+  createLogger,
+  withLogContext,
+  getCorrelationId,
+  redact,
+};
@@ -0,0 +1,1020 @@
+/**
+ * mockServer.js
+ * Local mock of the Probo API for offline development and tests
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { validateRequestBody } from './specValidator.js';
+
+const DEFAULT_PORT = 4010;
+
+// Fixed "today" so dates in prices and orders are the same on every run
+const MOCK_TODAY = '2025-01-06';
+
+const VAT_RATE = 0.21;
+
+// Sales prices are the purchase prices plus this margin
+const SALES_MARGIN = 0.25;
+
+// Fixture catalogue. Product codes and option trees follow the examples in the spec.
+const FIXTURE_PRODUCTS = [
+  {
+    code: 'banner-510',
+    article_group_name: 'Banners',
+    unit_code: 'm2',
+    price: 9.5,
+    translations: {
+      en: { title: 'Banner 510 gr/m²', description: 'Sturdy PVC banner for outdoor use' },
+      nl: { title: 'Spandoek 510 gr/m²', description: 'Stevig PVC spandoek voor buitengebruik' },
+    },
+    options: [
+      { code: 'width', type_code: 'width', name: 'Width', min_value: 100, max_value: 5000 },
+      { code: 'height', type_code: 'height', name: 'Height', min_value: 100, max_value: 5000 },
+      { code: 'amount', type_code: 'amount', name: 'Amount', min_value: 1, max_value: 1000 },
+      {
+        code: 'finishing',
+        type_code: 'parent',
+        name: 'Finishing',
+        children: [
+          { code: 'hem-and-eyelets', type_code: 'radio', name: 'Hem with eyelets', price: 1.5 },
+          { code: 'no-finishing', type_code: 'radio', name: 'No finishing', price: 0 },
+        ],
+      },
+    ],
+  },
+  {
+    code: 'airtex_01',
+    article_group_name: 'Doek',
+    unit_code: 'm2',
+    price: 14,
+    translations: {
+      en: { title: 'Airtex', description: 'Breathable polyester fabric' },
+      nl: { title: 'Airtex', description: 'Ademend polyester doek' },
+    },
+    options: [
+      { code: 'width', type_code: 'width', name: 'Width', min_value: 200, max_value: 3000 },
+      { code: 'height', type_code: 'height', name: 'Height', min_value: 200, max_value: 3000 },
+      { code: 'amount', type_code: 'amount', name: 'Amount', min_value: 1, max_value: 500 },
+    ],
+  },
+  {
+    code: 'tensioner-with-spinhook',
+    article_group_name: 'Accessoires',
+    unit_code: 'piece',
+    price: 0.85,
+    translations: {
+      en: { title: 'Tensioner with spin hook', description: 'Elastic tensioner for banners and frames' },
+      nl: { title: 'Spanner met draaihaak', description: 'Elastische spanner voor spandoeken en frames' },
+    },
+    options: [
+      { code: 'amount', type_code: 'amount', name: 'Amount', min_value: 1, max_value: 10000 },
+    ],
+  },
+];
+
+// Customer products with saved options, as listed by /apiproducts
+const FIXTURE_CUSTOMER_PRODUCTS = [
+  {
+    customer_code: 'mybanner_01',
+    code: 'banner-510',
+    title: 'Banner 510',
+    description: 'Banner with hem and eyelets',
+    options: [
+      { code: 'width', value: '2000' },
+      { code: 'height', value: '1000' },
+      { code: 'amount', value: '1' },
+      { code: 'hem-and-eyelets' },
+    ],
+  },
+];
+
+const FIXTURE_SHIPPING_METHODS = [
+  {
+    code: 'dhl-standard',
+    name: 'DHL - Standaard',
+    description: 'Delivery between 08.00 and 18.00. You receive a track & trace link.',
+    carrier_code: 'DHL',
+    type: 'shipment',
+    transit_days: 1,
+    price: 6.95,
+  },
+  {
+    code: 'onbezorgd-standard',
+    name: 'Probo delivery',
+    description: 'For large packages from 180 cm. Delivered within a two hour time window.',
+    carrier_code: 'PROBO',
+    type: 'shipment',
+    transit_days: 2,
+    price: 12.5,
+  },
+];
+
+// Volume tiers offered for every product, with the discount on the unit price
+const FIXTURE_TIERS = [
+  { tier: 1, discount: 0 },
+  { tier: 10, discount: 0.05 },
+  { tier: 50, discount: 0.1 },
+];
+
+// Production speeds offered for every price calculation
+const PRODUCTION_OPTIONS = [
+  { production_hours: 24, surcharge: 0.3 },
+  { production_hours: 48, surcharge: 0 },
+];
+
+// Order statuses that can no longer be cancelled
+const NON_CANCELLABLE_STATUSES = ['production', 'shipment_delivered'];
+
+/**
+ * Creates a mock Probo API server. Each server keeps its own in-memory orders.
+ * @returns {http.Server} HTTP server, not yet listening
+ */
+export function createMockServer() {
+  const state = {
+    // Every request received, so tests can check what the client sent
+    requests: [],
+    orders: new Map(),
+    calculations: new Map(),
+    projects: [],
+    tickets: [],
+    nextSupplierOrderNumber: 201900001,
+    nextCalculationId: 5234231,
+    nextDraftId: 452,
+    // Validation errors are sent as a newline separated string, set to 'array' to send a list
+    errorFormat: 'string',
+    // Failures to simulate: { method, path, status, headers, times }. A matching request
+    // gets the status instead of its response, for the given number of times.
+    outages: [],
+    // Product updates to simulate: product code to an updated_at like '2025-01-07 09:30:00'.
+    // Other products were last updated on MOCK_TODAY.
+    productUpdates: new Map(),
+    // Set to true to calculate prices without any price options
+    noPrices: false,
+  };
+  
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    
+    try {
+      if (!req.headers.authorization || !req.headers.authorization.startsWith('Basic ')) {
+        return sendJson(res, 401, {
+          status: 'error',
+          code: 401,
+          message: 'Unauthorized or invalid client application credentials',
+        });
+      }
+      
+      const { route, params } = findRoute(req.method, url.pathname);
+      if (!route) {
+        return sendJson(res, 404, { status: 'error', code: 404, message: `No route found for "${req.method} ${url.pathname}"` });
+      }
+      
+      const body = req.method === 'POST' ? await readJsonBody(req) : null;
+      state.requests.push({ method: req.method, path: url.pathname, query: url.searchParams, body, authorization: req.headers.authorization });
+      
+      const outage = state.outages.find(({ method, path, times }) => method === req.method && path === url.pathname && times > 0);
+      if (outage) {
+        outage.times -= 1;
+        res.writeHead(outage.status, { 'Content-Type': 'application/json', ...outage.headers });
+        return res.end(JSON.stringify({ status: 'error', code: outage.status, message: 'Simulated outage' }));
+      }
+      
+      if (req.method === 'POST') {
+        // Request bodies are validated against the schemas in the API spec
+        const errors = validateRequestBody(req.method, route.path, body);
+        if (errors.length > 0) {
+          return sendJson(res, ...validationErrors(errors, state));
+        }
+      }
+      
+      const [status, payload] = route.handler({ state, body, params, query: url.searchParams });
+      sendJson(res, status, payload);
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        return sendJson(res, 400, { status: 'error', code: 400, message: 'Invalid JSON in request body' });
+      }
+      
+      sendJson(res, 500, { status: 'error', code: 500, message: error.message });
+    }
+  });
+  
+  // Exposed so tests can inspect stored orders and change mock behaviour
+  server.state = state;
+  
+  return server;
+}
+
+/**
+ * Starts a mock Probo API server
+ * @param {number} port - Port to listen on, 0 picks a free port
+ * @returns {Promise<Object>} The server and its base URL
+ */
+export function startMockServer(port = Number(process.env.PROBO_MOCK_PORT) || DEFAULT_PORT) {
+  const server = createMockServer();
+  
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, url });
+    });
+  });
+}
+
+const ROUTES = [
+  { method: 'GET', path: '/products', handler: handleListProducts },
+  { method: 'GET', path: '/products/product/:code', handler: handleGetProduct },
+  { method: 'GET', path: '/products/product/:code/tiers', handler: handleGetProductTiers },
+  { method: 'GET', path: '/apiproducts', handler: handleListCustomerProducts },
+  { method: 'GET', path: '/apiproducts/product/:code', handler: handleGetCustomerProduct },
+  { method: 'POST', path: '/products/configure', handler: handleConfigure },
+  { method: 'POST', path: '/products/uploader/create', handler: handleCreateUploader },
+  { method: 'POST', path: '/price', handler: handlePrice },
+  { method: 'GET', path: '/shipping/methods', handler: handleListShippingMethods },
+  { method: 'POST', path: '/order', handler: handlePlaceOrder },
+  { method: 'POST', path: '/drafts', handler: handleCreateDraft },
+  { method: 'POST', path: '/order/status', handler: handleOrderStatus },
+  { method: 'POST', path: '/order/cancel', handler: handleCancelOrder },
+  { method: 'POST', path: '/order/release', handler: handleReleaseOrder },
+  { method: 'GET', path: '/orders', handler: handleListOrders },
+  { method: 'POST', path: '/project', handler: handleCreateProject },
+  { method: 'GET', path: '/projects', handler: handleListProjects },
+  { method: 'POST', path: '/ticket', handler: handleCreateTicket },
+  { method: 'GET', path: '/tickets', handler: handleListTickets },
+];
+
+function findRoute(method, pathname) {
+  const segments = pathname.replace(/\/+$/, '').split('/');
+  
+  for (const route of ROUTES) {
+    const routeSegments = route.path.split('/');
+    if (route.method !== method || routeSegments.length !== segments.length) {
+      continue;
+    }
+    
+    const params = {};
+    const matches = routeSegments.every((segment, index) => {
+      if (segment.startsWith(':')) {
+        params[segment.slice(1)] = decodeURIComponent(segments[index]);
+        return true;
+      }
+      
+      return segment === segments[index];
+    });
+    
+    if (matches) {
+      return { route, params };
+    }
+  }
+  
+  return { route: null, params: {} };
+}
+
+/**
+ * GET /products
+ */
+function handleListProducts({ state, query }) {
+  const search = (query.get('search') || '').toLowerCase();
+  const language = query.get('language') || 'en';
+  const page = Math.max(Number(query.get('page')) || 1, 1);
+  const perPage = Math.max(Number(query.get('per_page')) || 10, 1);
+  const updatedFrom = query.get('updated_at_from');
+  const updatedTo = query.get('updated_at_to');
+  const updatedAt = product => state.productUpdates.get(product.code) || `${MOCK_TODAY} 00:00:00`;
+  
+  const matches = FIXTURE_PRODUCTS.filter(product => {
+    // The dates are yyyy-mm-dd, and both days are included
+    const updatedDay = updatedAt(product).slice(0, 10);
+    if ((updatedFrom && updatedDay < updatedFrom) || (updatedTo && updatedDay > updatedTo)) {
+      return false;
+    }
+    
+    if (!search) {
+      return true;
+    }
+    
+    const title = (product.translations[language] || product.translations.en).title;
+    return product.code.includes(search) || title.toLowerCase().includes(search);
+  });
+  
+  // The live API returns the list under "data", which is what proboClient reads
+  return [200, {
+    meta: {
+      page,
+      pages: Math.max(Math.ceil(matches.length / perPage), 1),
+      items: matches.length,
+      per_page: perPage,
+    },
+    data: matches.slice((page - 1) * perPage, page * perPage).map(product => ({
+      code: product.code,
+      article_group_name: product.article_group_name,
+      unit_code: product.unit_code,
+      translations: product.translations,
+      created_at: `${MOCK_TODAY} 00:00:00`,
+      updated_at: updatedAt(product),
+    })),
+  }];
+}
+
+/**
+ * GET /products/product/{code}
+ */
+function handleGetProduct({ params }) {
+  const fixture = FIXTURE_PRODUCTS.find(product => product.code === params.code);
+  if (!fixture) {
+    return productNotFound(params.code);
+  }
+  
+  const formatOption = option => ({
+    code: option.code,
+    type_code: option.type_code,
+    is_parent: Boolean(option.children),
+    translations: { en: { name: option.name } },
+    min_value: option.min_value ?? null,
+    max_value: option.max_value ?? null,
+    children: (option.children || []).map(formatOption),
+  });
+  
+  return [200, {
+    code: fixture.code,
+    translations: fixture.translations,
+    article_group_name: fixture.article_group_name,
+    unit_code: fixture.unit_code,
+    options: fixture.options.map(formatOption),
+  }];
+}
+
+/**
+ * GET /products/product/{code}/tiers
+ */
+function handleGetProductTiers({ params }) {
+  const fixture = FIXTURE_PRODUCTS.find(product => product.code === params.code);
+  if (!fixture) {
+    return productNotFound(params.code);
+  }
+  
+  const salesPrice = fixture.price * (1 + SALES_MARGIN);
+  
+  return [200, [{
+    api_code: fixture.code,
+    article_group_code: fixture.article_group_name.toLowerCase(),
+    unit_code: fixture.unit_code,
+    tiers: FIXTURE_TIERS.map(({ tier, discount }) => ({
+      tier,
+      sales_price: roundPrice(salesPrice * (1 - discount)),
+      rush_hours: PRODUCTION_OPTIONS
+        .filter(option => option.surcharge > 0)
+        .map(option => ({
+          hour: option.production_hours,
+          sales_price: roundPrice(salesPrice * (1 - discount) * (1 + option.surcharge)),
+        })),
+    })),
+  }]];
+}
+
+/**
+ * GET /apiproducts
+ */
+function handleListCustomerProducts({ query }) {
+  const products = FIXTURE_CUSTOMER_PRODUCTS.map(product => ({
+    customer_code: product.customer_code,
+    unit_code: FIXTURE_PRODUCTS.find(fixture => fixture.code === product.code).unit_code,
+    title: product.title,
+    description: product.description,
+    created_at: formatDate(MOCK_TODAY),
+    updated_at: formatDate(MOCK_TODAY),
+    deleted_at: null,
+  }));
+  
+  return [200, paginate(products, query, 'products')];
+}
+
+/**
+ * GET /apiproducts/product/{customer_code}
+ */
+function handleGetCustomerProduct({ params }) {
+  const customerProduct = FIXTURE_CUSTOMER_PRODUCTS.find(product => product.customer_code === params.code);
+  if (!customerProduct) {
+    return productNotFound(params.code);
+  }
+  
+  const fixture = FIXTURE_PRODUCTS.find(product => product.code === customerProduct.code);
+  
+  return [200, {
+    value: {
+      customer_code: customerProduct.customer_code,
+      code: fixture.code,
+      title: customerProduct.title,
+      description: customerProduct.description,
+      article_group_name: fixture.article_group_name,
+      options: customerProduct.options.map(({ code, value }) => {
+        const { option, parent } = findFixtureOption(fixture, code);
+        
+        return {
+          ...formatFixtureOption(option),
+          parent_name: parent ? parent.name : null,
+          value: value ?? null,
+        };
+      }),
+    },
+  }];
+}
+
+/**
+ * POST /products/configure
+ */
+function handleConfigure({ state, body }) {
+  const { products, errors } = resolveProducts(body.products);
+  if (errors.length > 0) {
+    return validationErrors(errors, state);
+  }
+  
+  const calculationId = state.nextCalculationId++;
+  state.calculations.set(calculationId, products);
+  
+  return [200, {
+    status: 'ok',
+    calculation_id: calculationId,
+    products: products.map(({ fixture, selected, amount, width, height }) => {
+      const availableOptions = getMissingOptions(fixture, selected);
+      
+      return {
+        api_code: fixture.code,
+        can_order: availableOptions.length === 0,
+        available_options: availableOptions.map(formatFixtureOption),
+        selected_options: Object.values(selected).map(({ option, value }) => ({
+          ...formatFixtureOption(option),
+          value: value === undefined ? null : String(value),
+        })),
+        amount,
+        width,
+        height,
+        length: 0,
+      };
+    }),
+  }];
+}
+
+/**
+ * POST /products/uploader/create
+ */
+function handleCreateUploader({ state, body }) {
+  const products = state.calculations.get(body.calculation_id);
+  if (!products) {
+    return [400, { status: 'error', code: 400, message: 'Calculation does not exist' }];
+  }
+  
+  return [200, {
+    status: 'ok',
+    message: 'Uploaders created',
+    uploaders: products.map((product, index) => ({
+      product_id: product.id || index + 1,
+      id: 100 + index,
+      url: `https://print-uploader.com/init/${100 + index}?token=mock-${body.calculation_id}`,
+    })),
+  }];
+}
+
+/**
+ * POST /price
+ */
+function handlePrice({ state, body }) {
+  const { products, errors } = resolveProducts(body.products);
+  
+  products.forEach((product, index) => {
+    const missing = getMissingOptions(product.fixture, product.selected);
+    if (missing.length > 0) {
+      errors.push(`products[${index}].options: Missing option(s) ${missing.map(option => option.code).join(', ')}`);
+    }
+  });
+  
+  if (errors.length > 0) {
+    return validationErrors(errors, state);
+  }
+  
+  const deliveries = body.deliveries || [];
+  
+  return [200, {
+    status: 'ok',
+    code: 200,
+    message: 'Price calculated',
+    id: state.nextCalculationId++,
+    prices: (state.noPrices ? [] : PRODUCTION_OPTIONS).map(({ production_hours, surcharge }) => {
+      const productPrices = products.map((product, index) => {
+        const perProduct = calculateProductPrice(product) * (1 + surcharge);
+        
+        return {
+          id: product.id || index + 1,
+          prices_per_product: { prices: buildPrices(perProduct) },
+          prices_total: { prices: buildPrices(perProduct * product.amount) },
+        };
+      });
+      
+      const productsPurchasePrice = productPrices.reduce((sum, product) => sum + product.prices_total.prices.purchase_price, 0);
+      const shippingMethods = deliveries.map(selectShippingMethod);
+      const transitDays = Math.max(1, ...shippingMethods.map(method => method.transit_days));
+      const shippingDate = addDays(MOCK_TODAY, production_hours / 24);
+      
+      return {
+        shipping_date: formatDate(shippingDate),
+        delivery_date: formatDate(addDays(shippingDate, transitDays)),
+        production_hours,
+        ...prefixPrices('products_', buildPrices(productsPurchasePrice)),
+        products: productPrices,
+        deliveries: shippingMethods.map(method => ({
+          shipping_method_api_code: method.code,
+          shipping_method_name: method.name,
+          shipping_method_description: method.description,
+          transit_days: method.transit_days,
+          prices: { prices: buildPrices(method.price) },
+        })),
+      };
+    }),
+  }];
+}
+
+/**
+ * POST /order
+ */
+function handlePlaceOrder({ state, body }) {
+  const existing = state.orders.get(body.id);
+  if (existing && existing.status_code !== 'cancelled') {
+    return [400, { status: 'error', code: 400, message: `Order with id ${body.id} already exists`, id: body.id }];
+  }
+  
+  const { products, errors } = resolveProducts(body.products);
+  
+  products.forEach((product, index) => {
+    const missing = getMissingOptions(product.fixture, product.selected);
+    if (missing.length > 0) {
+      errors.push(`products[${index}].options: Missing option(s) ${missing.map(option => option.code).join(', ')}`);
+    }
+  });
+  
+  // Every delivery is checked and kept, not only the first
+  body.deliveries.forEach((delivery, index) => {
+    if (delivery.shipping_method_code && !FIXTURE_SHIPPING_METHODS.some(method => method.code === delivery.shipping_method_code)) {
+      errors.push(`deliveries[${index}].shipping_method_code: Unknown shipping method "${delivery.shipping_method_code}"`);
+    }
+  });
+  
+  if (errors.length > 0) {
+    return validationErrors(errors, state);
+  }
+  
+  const deliveries = body.deliveries.map(delivery => {
+    const shippingMethod = selectShippingMethod(delivery);
+    
+    return {
+      address: delivery.address,
+      shipping_method_code: shippingMethod.code,
+      delivery_date: delivery.delivery_date || addDays(MOCK_TODAY, 2 + shippingMethod.transit_days),
+    };
+  });
+  const [delivery] = deliveries;
+  const total = products.reduce((sum, product) => sum + calculateProductPrice(product) * product.amount, 0);
+  
+  state.orders.set(body.id, {
+    id: body.id,
+    reference: body.reference,
+    supplier_order_number: state.nextSupplierOrderNumber++,
+    order_type: body.order_type || 'production',
+    status_code: 'accepted',
+    order_date: MOCK_TODAY,
+    delivery_date: delivery.delivery_date,
+    shipping_method_code: delivery.shipping_method_code,
+    address: delivery.address,
+    deliveries,
+    total_sales_price: roundPrice(total * (1 + SALES_MARGIN)),
+    products: products.map((product, index) => ({
+      id: product.id || index + 1,
+      code: product.fixture.code,
+      amount: product.amount,
+    })),
+  });
+  
+  return [202, {
+    status: 'order_queued',
+    message: 'Order queued',
+    order: { id: body.id, reference: body.reference },
+  }];
+}
+
+/**
+ * GET /shipping/methods
+ */
+function handleListShippingMethods({ query }) {
+  const type = query.get('type');
+  
+  return [200, FIXTURE_SHIPPING_METHODS
+    .filter(method => !type || method.type === type)
+    .map(method => ({
+      code: method.code,
+      requires_email: true,
+      requires_phone: false,
+      carrier_code: method.carrier_code,
+      type: method.type,
+      translations: {
+        en: { title: method.name, description: method.description, short_description: method.name },
+      },
+    }))];
+}
+
+/**
+ * POST /drafts
+ */
+function handleCreateDraft({ state, body }) {
+  const { errors } = resolveProducts(body.products);
+  if (errors.length > 0) {
+    return validationErrors(errors, state);
+  }
+  
+  return [201, { status: 'ok', code: 200, message: 'Draft created', id: state.nextDraftId++ }];
+}
+
+/**
+ * POST /order/status
+ */
+function handleOrderStatus({ state, body }) {
+  const unknown = body.orders.find(reference => !findOrder(state, reference));
+  if (unknown) {
+    return [400, { status: 'error', code: 400, message: 'Order does not exist', id: unknown.id ?? unknown.supplier_order_number }];
+  }
+  
+  return [200, {
+    status: 'ok',
+    message: 'Status retrieved',
+    orders: body.orders.map(reference => {
+      const order = findOrder(state, reference);
+      
+      return {
+        id: order.id,
+        reference: order.reference,
+        supplier_order_number: order.supplier_order_number,
+        status_code: order.status_code,
+        delivery_date: order.delivery_date,
+        shipping_method_code: order.shipping_method_code,
+        products: order.products.map(product => ({ id: product.id, status_code: order.status_code })),
+        packages: [],
+      };
+    }),
+  }];
+}
+
+/**
+ * POST /order/cancel
+ */
+function handleCancelOrder({ state, body }) {
+  const order = findOrder(state, body);
+  if (!order) {
+    return [400, { status: 'error', message: 'Order does not exist', id: body.id }];
+  }
+  
+  if (order.status_code === 'cancelled' || NON_CANCELLABLE_STATUSES.includes(order.status_code)) {
+    return [400, { status: 'error', message: `Could not cancel order, because order status is: ${order.status_code}`, id: body.id }];
+  }
+  
+  order.status_code = 'cancelled';
+  
+  return [200, { status: 'cancelled', message: 'Order cancelled', id: body.id }];
+}
+
+/**
+ * POST /order/release
+ */
+function handleReleaseOrder({ state, body }) {
+  const ids = Array.isArray(body.id) ? body.id : [body.id];
+  const notCancelled = ids.filter(id => state.orders.get(id)?.status_code !== 'cancelled');
+  if (notCancelled.length > 0) {
+    return [400, { status: 'error', message: 'Only cancelled orders can be released', id: notCancelled[0] }];
+  }
+  
+  ids.forEach(id => state.orders.delete(id));
+  
+  return [200, { status: 'ok', message: 'Order id(s) released', id: body.id }];
+}
+
+/**
+ * GET /orders
+ */
+function handleListOrders({ state, query }) {
+  const page = Math.max(Number(query.get('page')) || 1, 1);
+  const perPage = Math.max(Number(query.get('per_page')) || 10, 1);
+  const filters = {
+    status_code: query.get('status'),
+    id: query.get('customer_order_id'),
+  };
+  
+  const matches = [...state.orders.values()].filter(order =>
+    Object.entries(filters).every(([field, value]) => !value || order[field] === value)
+  );
+  
+  return [200, {
+    meta: {
+      page,
+      pages: Math.max(Math.ceil(matches.length / perPage), 1),
+      items: matches.length,
+      per_page: perPage,
+    },
+    orders: matches.slice((page - 1) * perPage, page * perPage).map(order => ({
+      number: order.supplier_order_number,
+      customer_reference: order.reference,
+      order_date: order.order_date,
+      customer_order_id: order.id,
+      total_sales_price: order.total_sales_price,
+      total_vat: roundPrice(order.total_sales_price * VAT_RATE),
+      delivery_date: order.delivery_date,
+      delivery_address: Object.fromEntries(
+        Object.entries(order.address).map(([field, value]) => [`address_${field}`, value])
+      ),
+      external_status_code: order.status_code,
+    })),
+  }];
+}
+
+/**
+ * POST /project
+ */
+function handleCreateProject({ state, body }) {
+  const project = {
+    id: state.projects.length + 1,
+    name: body.name,
+    number: body.number || null,
+    note: body.note || null,
+    created_at: formatDate(MOCK_TODAY),
+    updated_at: formatDate(MOCK_TODAY),
+  };
+  state.projects.push(project);
+  
+  return [200, { status: 'ok', code: 200, message: 'Project created', id: project.id }];
+}
+
+/**
+ * GET /projects
+ */
+function handleListProjects({ state, query }) {
+  return [200, { status: 'ok', code: 200, ...paginate(state.projects, query, 'projects') }];
+}
+
+/**
+ * POST /ticket
+ */
+function handleCreateTicket({ state, body }) {
+  const order = findOrder(state, { id: body.order_id });
+  if (!order) {
+    return [400, { status: 'error', code: 400, message: 'Order does not exist', id: body.order_id }];
+  }
+  
+  state.tickets.push({
+    supplier_order_number: order.supplier_order_number,
+    id: String(body.id),
+    status: 'open',
+    created_at: MOCK_TODAY.replace(/-/g, ''),
+  });
+  
+  return [200, { status: 'ok', code: 200, message: 'Ticket created', id: state.tickets.length }];
+}
+
+/**
+ * GET /tickets
+ */
+function handleListTickets({ state, query }) {
+  return [200, { status: 'ok', code: 200, ...paginate(state.tickets, query, 'tickets') }];
+}
+
+function paginate(items, query, key) {
+  const page = Math.max(Number(query.get('page')) || 1, 1);
+  const perPage = Math.max(Number(query.get('per_page')) || 20, 1);
+  
+  return {
+    meta: {
+      page,
+      pages: Math.max(Math.ceil(items.length / perPage), 1),
+      items: items.length,
+      per_page: perPage,
+    },
+    [key]: items.slice((page - 1) * perPage, page * perPage),
+  };
+}
+
+function productNotFound(code) {
+  return [404, { status: 'error', code: 404, message: `Product "${code}" not found` }];
+}
+
+/**
+ * Finds a stored order by its id or supplier order number
+ */
+function findOrder(state, { id, supplier_order_number: supplierOrderNumber }) {
+  if (id !== undefined) {
+    return state.orders.get(String(id));
+  }
+  
+  return [...state.orders.values()].find(order => String(order.supplier_order_number) === String(supplierOrderNumber));
+}
+
+/**
+ * Looks up the fixture product for each requested product and checks its options
+ * @param {Array} requestedProducts - Products from the request body
+ * @returns {Object} Resolved products and validation errors
+ */
+function resolveProducts(requestedProducts) {
+  const errors = [];
+  const products = [];
+  
+  requestedProducts.forEach((requested, index) => {
+    const customerProduct = requested.customer_code
+      ? FIXTURE_CUSTOMER_PRODUCTS.find(product => product.customer_code === requested.customer_code)
+      : null;
+    const code = customerProduct ? customerProduct.code : requested.code;
+    const fixture = FIXTURE_PRODUCTS.find(product => product.code === code);
+    
+    if (!fixture) {
+      const field = requested.customer_code ? 'customer_code' : 'code';
+      errors.push(`products[${index}].${field}: Product "${requested[field]}" does not exist`);
+      return;
+    }
+    
+    const selected = {};
+    
+    // Saved options of a customer product apply unless the request overrides them
+    const savedOptions = (customerProduct?.options || []).filter(saved =>
+      !(requested.options || []).some(option => option.code === saved.code)
+    );
+    
+    [...savedOptions, ...(requested.options || [])].forEach(({ code: optionCode, value }) => {
+      const match = findFixtureOption(fixture, optionCode);
+      
+      if (!match) {
+        errors.push(`products[${index}].options: Option "${optionCode}" is not available for product "${fixture.code}"`);
+        return;
+      }
+      
+      const { option, parent } = match;
+      
+      if (option.min_value !== undefined) {
+        const numericValue = Number(value);
+        if (value === undefined || value === null || value === '' || Number.isNaN(numericValue)) {
+          errors.push(`products[${index}].options: Option "${optionCode}" requires a numeric value`);
+          return;
+        }
+        
+        if (numericValue < option.min_value || numericValue > option.max_value) {
+          errors.push(`products[${index}].options: Value for "${optionCode}" should be between ${option.min_value} and ${option.max_value}`);
+          return;
+        }
+      }
+      
+      selected[parent ? parent.code : option.code] = { option, value };
+    });
+    
+    const width = Number(selected.width?.value) || 0;
+    const height = Number(selected.height?.value) || 0;
+    
+    products.push({
+      id: requested.id,
+      fixture,
+      selected,
+      amount: Number(selected.amount?.value) || 1,
+      width,
+      height,
+    });
+  });
+  
+  return { products, errors };
+}
+
+function findFixtureOption(fixture, code) {
+  for (const option of fixture.options) {
+    if (option.code === code) {
+      return { option };
+    }
+    
+    const child = (option.children || []).find(candidate => candidate.code === code);
+    if (child) {
+      return { option: child, parent: option };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Options still to be chosen before the product can be ordered
+ */
+function getMissingOptions(fixture, selected) {
+  return fixture.options.filter(option => !selected[option.code]);
+}
+
+function formatFixtureOption(option) {
+  const formatted = {
+    code: option.code,
+    type_code: option.type_code,
+    name: option.name,
+    min_value: option.min_value ?? null,
+    max_value: option.max_value ?? null,
+  };
+  
+  if (option.children) {
+    formatted.children = option.children.map(formatFixtureOption);
+  }
+  
+  return formatted;
+}
+
+/**
+ * Purchase price for a single product, including chosen finishing
+ */
+function calculateProductPrice({ fixture, selected, width, height }) {
+  const area = fixture.unit_code === 'm2' ? (width * height) / 1000000 : 1;
+  const extras = Object.values(selected).reduce((sum, { option }) => sum + (option.price || 0), 0);
+  
+  return fixture.price * area + extras;
+}
+
+function selectShippingMethod(delivery) {
+  if (delivery.shipping_method_code) {
+    return FIXTURE_SHIPPING_METHODS.find(method => method.code === delivery.shipping_method_code) || FIXTURE_SHIPPING_METHODS[0];
+  }
+  
+  if (delivery.shipping_method_preset === 'fastest') {
+    return [...FIXTURE_SHIPPING_METHODS].sort((a, b) => a.transit_days - b.transit_days)[0];
+  }
+  
+  return [...FIXTURE_SHIPPING_METHODS].sort((a, b) => a.price - b.price)[0];
+}
+
+function buildPrices(purchasePrice) {
+  const salesPrice = purchasePrice * (1 + SALES_MARGIN);
+  
+  return {
+    purchase_price: roundPrice(purchasePrice),
+    purchase_price_incl_vat: roundPrice(purchasePrice * (1 + VAT_RATE)),
+    sales_price: roundPrice(salesPrice),
+    sales_price_incl_vat: roundPrice(salesPrice * (1 + VAT_RATE)),
+  };
+}
+
+function prefixPrices(prefix, prices) {
+  return Object.fromEntries(Object.entries(prices).map(([field, value]) => [`${prefix}${field}`, value]));
+}
+
+function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function addDays(date, days) {
+  const result = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+function formatDate(date) {
+  return `${date}T00:00:00+0000`;
+}
+
+function validationErrors(errors, state) {
+  // Probo joins validation errors into a single newline separated string
+  const formattedErrors = state.errorFormat === 'array' ? errors : errors.join('\n');
+  return [400, { status: 'error', code: 400, message: 'Validation failed', errors: formattedErrors }];
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Run standalone with `npm run mock`
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startMockServer()
+    .then(({ url }) => {
+      console.log(`Probo API mock listening on ${url}`);
+      console.log('Point the MCP server at it with PROBO_API_URL=mock');
+    })
+    .catch(error => {
+      console.error('Failed to start Probo API mock:', error);
+      process.exit(1);
+    });
+}
+
+export default {
+  createMockServer,
+  startMockServer,
+};
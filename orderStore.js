@@ -0,0 +1,113 @@
+/**
+ * orderStore.js
+ * Local record of recent order submissions, so a retried order is not placed twice
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync, renameSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('orderStore');
+
+// File the submissions are kept in, next to the server unless PROBO_ORDER_STORE is set
+const STORE_PATH = process.env.PROBO_ORDER_STORE || fileURLToPath(new URL('./.probo-orders.json', import.meta.url));
+
+// How long an identical order counts as a retry instead of a new order
+const IDEMPOTENCY_WINDOW_MS = (Number(process.env.PROBO_IDEMPOTENCY_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Stable key for an order, the same for every retry of the same request
+ * @param {Object} orderPayload - Order in API format
+ * @param {boolean} [ignoreId=false] - Leave the order id out, for ids that were generated
+ * @param {string} [account='default'] - Probo account the order is placed with
+ * @returns {string} SHA-256 of the account, the reference and the order contents
+ */
+export function getIdempotencyKey(orderPayload, ignoreId = false, account = 'default') {
+  const { id, ...contents } = orderPayload;
+  const keyed = ignoreId ? contents : { id, ...contents };
+  
+  return createHash('sha256').update(stableStringify({ account, order: keyed })).digest('hex');
+}
+
+/**
+ * Submission of an identical order within the idempotency window
+ * @param {string} key - Key from getIdempotencyKey
+ * @returns {Object|null} Submission with the order id and submitted_at
+ */
+export function findSubmission(key) {
+  const submission = readSubmissions()[key];
+  
+  if (!submission || Date.now() - Date.parse(submission.submitted_at) > IDEMPOTENCY_WINDOW_MS) {
+    return null;
+  }
+  
+  return submission;
+}
+
+/**
+ * Record an order submission, before it is sent
+ * @param {string} key - Key from getIdempotencyKey
+ * @param {Object} orderPayload - Order in API format
+ * @returns {Object} The recorded submission
+ */
+export function recordSubmission(key, orderPayload) {
+  const now = Date.now();
+  
+  // Drop submissions that no longer count as retries
+  const submissions = Object.fromEntries(
+    Object.entries(readSubmissions()).filter(([, submission]) => now - Date.parse(submission.submitted_at) <= IDEMPOTENCY_WINDOW_MS)
+  );
+  
+  submissions[key] = {
+    id: orderPayload.id,
+    reference: orderPayload.reference,
+    order_type: orderPayload.order_type,
+    submitted_at: new Date(now).toISOString(),
+  };
+  
+  // Write to a temporary file first so a crash cannot leave a half-written store
+  const temporaryPath = `${STORE_PATH}.tmp`;
+  writeFileSync(temporaryPath, JSON.stringify({ submissions }, null, 2));
+  renameSync(temporaryPath, STORE_PATH);
+  
+  return submissions[key];
+}
+
+function readSubmissions() {
+  try {
+    return JSON.parse(readFileSync(STORE_PATH, 'utf8')).submissions || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.warn('Could not read the order store, starting with an empty store', { path: STORE_PATH, error: error.message });
+    }
+    
+    return {};
+  }
+}
+
+/**
+ * JSON with the object keys sorted, so equal objects give equal strings
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  
+  return JSON.stringify(value);
+}
+
+export default {
+  getIdempotencyKey,
+  findSubmission,
+  recordSubmission,
+};
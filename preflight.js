@@ -0,0 +1,608 @@
+/**
+ * preflight.js
+ * Artwork preflight checks for PDF, PNG, JPEG and TIFF files
+ */
+
+import axios from 'axios';
+import { readFile, realpath, stat } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('preflight');
+
+// Hosts that count as locally served; remote artwork is not downloaded
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]', '::1'];
+
+// A download of locally served artwork is stopped after this time
+const FETCH_TIMEOUT_MS = Number(process.env.PROBO_PREFLIGHT_TIMEOUT_MS) || 30 * 1000;
+
+// Larger artwork is not read, from disk or downloaded
+const MAX_ARTWORK_BYTES = Number(process.env.PROBO_PREFLIGHT_MAX_BYTES) || 200 * 1024 * 1024;
+
+// The only directory remote clients may check local files in; without it they can check none
+const ARTWORK_DIR = process.env.PROBO_ARTWORK_DIR || null;
+
+// Code of the error thrown when a header field lies beyond the end of the file
+const ARTWORK_TRUNCATED = 'ARTWORK_TRUNCATED';
+
+// Default minimum effective resolution in DPI
+const DEFAULT_MIN_DPI = 150;
+
+// Allowed difference between artwork and configured size, in mm
+const SIZE_TOLERANCE_MM = 1;
+
+const MM_PER_INCH = 25.4;
+const POINTS_PER_INCH = 72;
+
+/**
+ * Run preflight checks on an artwork file
+ * @param {string} uri - Local file path, file:// URL or locally served http(s) URL
+ * @param {Object} [expectations={}] - Expected artwork properties
+ * @param {number} [expectations.width] - Configured width in mm
+ * @param {number} [expectations.height] - Configured height in mm
+ * @param {number} [expectations.bleed] - Required bleed per side in mm
+ * @param {number} [expectations.minDpi=150] - Minimum effective resolution
+ * @param {Object} [options={}] - Who asks for the check
+ * @param {boolean} [options.remote=false] - Whether a remote client asks, which may only check files in PROBO_ARTWORK_DIR
+ * @returns {Promise<Object>} Preflight report with detected properties and issues
+ */
+export async function preflightArtwork(uri, expectations = {}, options = {}) {
+  log.info('Checking artwork', { uri });
+  
+  const buffer = await loadArtwork(uri, options);
+  const format = detectFormat(buffer);
+  
+  if (!format) {
+    throw new Error('Unsupported artwork format, expected PDF, PNG, JPEG or TIFF');
+  }
+  
+  const parsers = {
+    pdf: parsePdf,
+    png: parsePng,
+    jpeg: parseJpeg,
+    tiff: parseTiff,
+  };
+  
+  let properties;
+  try {
+    properties = parsers[format](buffer);
+  } catch (error) {
+    if (error.code !== ARTWORK_TRUNCATED) {
+      throw error;
+    }
+    
+    log.warn('Artwork is truncated', { uri, format, bytes: buffer.length });
+    return {
+      uri,
+      format,
+      issues: [{ severity: 'error', message: `The ${format.toUpperCase()} file is truncated or unreadable, its header ends after ${buffer.length} bytes` }],
+      ok: false,
+    };
+  }
+  
+  const report = {
+    uri,
+    format,
+    ...properties,
+  };
+  
+  report.issues = format === 'pdf'
+    ? checkPdf(report, expectations)
+    : checkRaster(report, expectations);
+  report.ok = report.issues.every(issue => issue.severity !== 'error');
+  
+  log.info('Checked artwork', { uri, format, issues: report.issues.length });
+  
+  return report;
+}
+
+/**
+ * Read artwork from a local path or a locally served URL
+ * Downloads are stopped after FETCH_TIMEOUT_MS, files and downloads larger than
+ * MAX_ARTWORK_BYTES are not read.
+ * @param {string} uri - File path or URL
+ * @param {Object} options - Who asks for the check, see preflightArtwork
+ * @returns {Promise<Buffer>} File contents
+ * @throws {Error} When the URL is not local, the file may not be read, or it is too slow or too large
+ */
+async function loadArtwork(uri, { remote = false }) {
+  if (uri.startsWith('file://')) {
+    return readArtworkFile(fileURLToPath(uri), remote);
+  }
+  
+  if (/^https?:\/\//i.test(uri)) {
+    const { hostname } = new URL(uri);
+    if (!LOCAL_HOSTS.includes(hostname)) {
+      throw new Error(`Only local files and locally served URLs can be checked, got host: ${hostname}`);
+    }
+    
+    try {
+      const response = await axios.get(uri, {
+        responseType: 'arraybuffer',
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+        maxContentLength: MAX_ARTWORK_BYTES,
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        throw new Error(`Could not download the artwork within ${FETCH_TIMEOUT_MS / 1000} seconds`);
+      }
+      
+      if (/maxContentLength/.test(error.message)) {
+        throw new Error(`Artwork is larger than ${MAX_ARTWORK_BYTES} bytes, set PROBO_PREFLIGHT_MAX_BYTES to check larger files`);
+      }
+      
+      throw error;
+    }
+  }
+  
+  return readArtworkFile(uri, remote);
+}
+
+/**
+ * Read a local artwork file
+ * Devices, directories and files larger than MAX_ARTWORK_BYTES are not read. Over the
+ * HTTP transport the path is chosen by a remote client, so only files in ARTWORK_DIR
+ * can be read; symbolic links are resolved before the check.
+ * @param {string} file - File path
+ * @param {boolean} remote - Whether a remote client asks
+ * @returns {Promise<Buffer>} File contents
+ * @throws {Error} When the file may not be read or is too large
+ */
+async function readArtworkFile(file, remote) {
+  if (remote) {
+    if (!ARTWORK_DIR) {
+      throw new Error('Local files cannot be checked over the HTTP transport, set PROBO_ARTWORK_DIR to allow the files in one directory');
+    }
+    
+    const relative = path.relative(await realpath(ARTWORK_DIR), await realpath(file));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Only files in ${ARTWORK_DIR} can be checked over the HTTP transport`);
+    }
+  }
+  
+  const stats = await stat(file);
+  if (!stats.isFile()) {
+    throw new Error(`Artwork is not a regular file: ${file}`);
+  }
+  
+  if (stats.size > MAX_ARTWORK_BYTES) {
+    throw new Error(`Artwork is larger than ${MAX_ARTWORK_BYTES} bytes, set PROBO_PREFLIGHT_MAX_BYTES to check larger files`);
+  }
+  
+  return readFile(file);
+}
+
+/**
+ * Detect the file format from its magic bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} pdf, png, jpeg, tiff or null
+ */
+function detectFormat(buffer) {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'pdf';
+  }
+  
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'png';
+  }
+  
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  
+  const byteOrder = buffer.subarray(0, 4).toString('latin1');
+  if (byteOrder === 'II*\0' || byteOrder === 'MM\0*') {
+    return 'tiff';
+  }
+  
+  return null;
+}
+
+/**
+ * Read size, resolution and colour information from a PNG
+ * @param {Buffer} buffer - PNG contents
+ * @returns {Object} Image properties
+ */
+function parsePng(buffer) {
+  const colorTypes = {
+    0: 'Gray',
+    2: 'RGB',
+    3: 'Indexed',
+    4: 'Gray',
+    6: 'RGB',
+  };
+  
+  // Signature and IHDR chunk
+  assertInFile(buffer, 0, 26);
+  
+  const info = {
+    pixel_width: buffer.readUInt32BE(16),
+    pixel_height: buffer.readUInt32BE(20),
+    bits_per_component: buffer[24],
+    color_space: colorTypes[buffer[25]] || 'Unknown',
+    dpi: null,
+  };
+  
+  // Walk the chunks up to the image data looking for the physical pixel size
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.subarray(offset + 4, offset + 8).toString('latin1');
+    
+    if (type === 'pHYs') {
+      assertInFile(buffer, offset + 8, 9);
+      
+      // Pixels per metre
+      if (buffer[offset + 16] === 1) {
+        info.dpi = {
+          x: Math.round(buffer.readUInt32BE(offset + 8) * MM_PER_INCH / 1000),
+          y: Math.round(buffer.readUInt32BE(offset + 12) * MM_PER_INCH / 1000),
+        };
+      }
+    }
+    
+    if (type === 'IDAT' || type === 'IEND') {
+      break;
+    }
+    
+    offset += length + 12;
+  }
+  
+  return info;
+}
+
+/**
+ * Read size, resolution and colour information from a JPEG
+ * @param {Buffer} buffer - JPEG contents
+ * @returns {Object} Image properties
+ */
+function parseJpeg(buffer) {
+  const info = {
+    pixel_width: null,
+    pixel_height: null,
+    bits_per_component: null,
+    color_space: 'Unknown',
+    dpi: null,
+  };
+  
+  // Start of frame markers (baseline, progressive, lossless, arithmetic)
+  const frameMarkers = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+  const componentSpaces = { 1: 'Gray', 3: 'RGB', 4: 'CMYK' };
+  
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      break;
+    }
+    
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    
+    // JFIF header with density
+    if (marker === 0xe0 && buffer.subarray(offset + 4, offset + 9).toString('latin1') === 'JFIF\0') {
+      assertInFile(buffer, offset + 4, 12);
+      const units = buffer[offset + 11];
+      const xDensity = buffer.readUInt16BE(offset + 12);
+      const yDensity = buffer.readUInt16BE(offset + 14);
+      
+      if (units === 1) {
+        info.dpi = { x: xDensity, y: yDensity };
+      } else if (units === 2) {
+        info.dpi = { x: Math.round(xDensity * 2.54), y: Math.round(yDensity * 2.54) };
+      }
+    }
+    
+    if (frameMarkers.includes(marker)) {
+      assertInFile(buffer, offset + 4, 6);
+      info.bits_per_component = buffer[offset + 4];
+      info.pixel_height = buffer.readUInt16BE(offset + 5);
+      info.pixel_width = buffer.readUInt16BE(offset + 7);
+      info.color_space = componentSpaces[buffer[offset + 9]] || 'Unknown';
+      break;
+    }
+    
+    offset += length + 2;
+  }
+  
+  return info;
+}
+
+/**
+ * Read size, resolution and colour information from the first TIFF image
+ * @param {Buffer} buffer - TIFF contents
+ * @returns {Object} Image properties
+ */
+function parseTiff(buffer) {
+  const littleEndian = buffer[0] === 0x49;
+  
+  // Offsets come from the file itself, so every read is checked
+  const readUInt16 = offset => {
+    assertInFile(buffer, offset, 2);
+    return littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  };
+  const readUInt32 = offset => {
+    assertInFile(buffer, offset, 4);
+    return littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+  };
+  
+  const photometricSpaces = {
+    0: 'Gray',
+    1: 'Gray',
+    2: 'RGB',
+    3: 'Indexed',
+    5: 'CMYK',
+    6: 'YCbCr',
+    8: 'Lab',
+  };
+  
+  const tags = {};
+  const ifdOffset = readUInt32(4);
+  const entryCount = readUInt16(ifdOffset);
+  
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    const tag = readUInt16(entry);
+    const type = readUInt16(entry + 2);
+    const count = readUInt32(entry + 4);
+    const valueOffset = entry + 8;
+    
+    if (type === 3) {
+      // SHORT, more than two values are stored elsewhere; only the first is used
+      tags[tag] = readUInt16(count > 2 ? readUInt32(valueOffset) : valueOffset);
+    } else if (type === 4) {
+      // LONG
+      tags[tag] = readUInt32(valueOffset);
+    } else if (type === 5) {
+      // RATIONAL, stored elsewhere in the file
+      const rationalOffset = readUInt32(valueOffset);
+      const denominator = readUInt32(rationalOffset + 4);
+      tags[tag] = denominator ? readUInt32(rationalOffset) / denominator : 0;
+    }
+  }
+  
+  let dpi = null;
+  if (tags[282] && tags[283]) {
+    // Resolution unit 3 is centimetres, otherwise inches
+    const factor = tags[296] === 3 ? 2.54 : 1;
+    dpi = { x: Math.round(tags[282] * factor), y: Math.round(tags[283] * factor) };
+  }
+  
+  return {
+    pixel_width: tags[256] || null,
+    pixel_height: tags[257] || null,
+    bits_per_component: tags[258] || null,
+    color_space: photometricSpaces[tags[262]] || 'Unknown',
+    dpi,
+  };
+}
+
+/**
+ * Read page boxes and colour spaces from a PDF
+ * Only uncompressed page dictionaries can be read; boxes inside compressed
+ * object streams are reported as unknown.
+ * @param {Buffer} buffer - PDF contents
+ * @returns {Object} Document properties
+ */
+function parsePdf(buffer) {
+  // Header with the version, like %PDF-1.7
+  assertInFile(buffer, 0, 8);
+  
+  const text = buffer.toString('latin1');
+  
+  const readBox = name => {
+    const match = text.match(new RegExp(`/${name}\\s*\\[\\s*([-\\d.]+)\\s+([-\\d.]+)\\s+([-\\d.]+)\\s+([-\\d.]+)\\s*\\]`));
+    if (!match) {
+      return null;
+    }
+    
+    const [x1, y1, x2, y2] = match.slice(1).map(Number);
+    return {
+      width: pointsToMm(Math.abs(x2 - x1)),
+      height: pointsToMm(Math.abs(y2 - y1)),
+    };
+  };
+  
+  const mediaBox = readBox('MediaBox');
+  const trimBox = readBox('TrimBox');
+  const bleedBox = readBox('BleedBox');
+  const pageSize = trimBox || mediaBox;
+  const outerSize = bleedBox || mediaBox;
+  
+  let bleed = null;
+  if (trimBox && outerSize) {
+    bleed = roundMm(Math.min(outerSize.width - trimBox.width, outerSize.height - trimBox.height) / 2);
+  }
+  
+  const colorSpaces = ['DeviceCMYK', 'DeviceRGB', 'DeviceGray', 'ICCBased', 'Separation', 'DeviceN']
+    .filter(space => text.includes(`/${space}`));
+  
+  return {
+    version: text.slice(5, 8),
+    page_count: (text.match(/\/Type\s*\/Page(?!s)/g) || []).length || null,
+    page_size_mm: pageSize,
+    media_box_mm: mediaBox,
+    trim_box_mm: trimBox,
+    bleed_box_mm: bleedBox,
+    bleed_mm: bleed,
+    color_spaces: colorSpaces,
+  };
+}
+
+/**
+ * Throw an ARTWORK_TRUNCATED error when bytes are missing from the file
+ * @param {Buffer} buffer - File contents
+ * @param {number} offset - Offset of the first byte that is read
+ * @param {number} length - Number of bytes that are read
+ * @throws {Error} When the bytes lie beyond the end of the file
+ */
+function assertInFile(buffer, offset, length) {
+  if (offset + length > buffer.length) {
+    const error = new Error(`Artwork is truncated, expected ${length} bytes at offset ${offset} of ${buffer.length}`);
+    error.code = ARTWORK_TRUNCATED;
+    throw error;
+  }
+}
+
+/**
+ * Compare a PDF report with the expected size and bleed
+ * @param {Object} report - PDF properties
+ * @param {Object} expectations - Expected width, height and bleed in mm
+ * @returns {Array<Object>} Issues with severity and message
+ */
+function checkPdf(report, expectations) {
+  const issues = [];
+  
+  if (!report.page_size_mm) {
+    issues.push({
+      severity: 'warning',
+      message: 'Could not read the page size, the page boxes may be in a compressed object stream',
+    });
+  } else if (expectations.width && expectations.height) {
+    const matches = sizeMatches(report.page_size_mm, expectations);
+    if (!matches) {
+      issues.push({
+        severity: 'error',
+        message: `Page size ${formatSize(report.page_size_mm)} does not match the configured size ${formatSize(expectations)}`,
+      });
+    }
+  }
+  
+  if (expectations.bleed) {
+    if (report.bleed_mm === null) {
+      issues.push({
+        severity: 'warning',
+        message: `No TrimBox found, cannot verify the required bleed of ${expectations.bleed} mm`,
+      });
+    } else if (report.bleed_mm + 0.1 < expectations.bleed) {
+      issues.push({
+        severity: 'error',
+        message: `Bleed of ${report.bleed_mm} mm is less than the required ${expectations.bleed} mm`,
+      });
+    }
+  }
+  
+  if (report.color_spaces.includes('DeviceRGB')) {
+    issues.push({
+      severity: 'warning',
+      message: 'Document contains RGB content, colours may shift when printed in CMYK',
+    });
+  }
+  
+  return issues;
+}
+
+/**
+ * Compare a raster image report with the expected size, bleed and resolution
+ * Adds the effective DPI and the physical size to the report.
+ * @param {Object} report - Image properties
+ * @param {Object} expectations - Expected width, height, bleed in mm and minDpi
+ * @returns {Array<Object>} Issues with severity and message
+ */
+function checkRaster(report, expectations) {
+  const issues = [];
+  const minDpi = expectations.minDpi || DEFAULT_MIN_DPI;
+  
+  if (!report.pixel_width || !report.pixel_height) {
+    issues.push({ severity: 'error', message: 'Could not read the image dimensions' });
+    return issues;
+  }
+  
+  if (report.dpi) {
+    report.page_size_mm = {
+      width: roundMm(report.pixel_width / report.dpi.x * MM_PER_INCH),
+      height: roundMm(report.pixel_height / report.dpi.y * MM_PER_INCH),
+    };
+  }
+  
+  if (expectations.width && expectations.height) {
+    // Artwork is expected to cover the configured size plus bleed on each side
+    const bleed = expectations.bleed || 0;
+    const targetWidth = expectations.width + bleed * 2;
+    const targetHeight = expectations.height + bleed * 2;
+    
+    report.effective_dpi = {
+      x: Math.round(report.pixel_width / (targetWidth / MM_PER_INCH)),
+      y: Math.round(report.pixel_height / (targetHeight / MM_PER_INCH)),
+    };
+    
+    const lowestDpi = Math.min(report.effective_dpi.x, report.effective_dpi.y);
+    if (lowestDpi < minDpi) {
+      issues.push({
+        severity: 'error',
+        message: `Effective resolution of ${lowestDpi} DPI at ${formatSize({ width: targetWidth, height: targetHeight })} is below the minimum of ${minDpi} DPI`,
+      });
+    }
+    
+    const imageRatio = report.pixel_width / report.pixel_height;
+    const targetRatio = targetWidth / targetHeight;
+    if (Math.abs(imageRatio - targetRatio) / targetRatio > 0.01) {
+      issues.push({
+        severity: 'error',
+        message: `Aspect ratio of ${report.pixel_width}x${report.pixel_height} px does not match the configured size ${formatSize({ width: targetWidth, height: targetHeight })}`,
+      });
+    }
+    
+    if (report.page_size_mm && !sizeMatches(report.page_size_mm, { width: targetWidth, height: targetHeight })) {
+      issues.push({
+        severity: 'warning',
+        message: `Embedded resolution gives a size of ${formatSize(report.page_size_mm)}, the image will be scaled`,
+      });
+    }
+  }
+  
+  if (['RGB', 'Indexed'].includes(report.color_space)) {
+    issues.push({
+      severity: 'warning',
+      message: `Image uses ${report.color_space} colours, colours may shift when printed in CMYK`,
+    });
+  }
+  
+  return issues;
+}
+
+/**
+ * Check whether a size matches the expected size, in either orientation
+ * @param {Object} size - Width and height in mm
+ * @param {Object} expected - Expected width and height in mm
+ * @returns {boolean} Whether the sizes match within tolerance
+ */
+function sizeMatches(size, expected) {
+  const within = (a, b) => Math.abs(a - b) <= SIZE_TOLERANCE_MM;
+  
+  return (within(size.width, expected.width) && within(size.height, expected.height))
+    || (within(size.width, expected.height) && within(size.height, expected.width));
+}
+
+/**
+ * Convert PDF points to millimetres
+ * @param {number} points - Length in points
+ * @returns {number} Length in mm
+ */
+function pointsToMm(points) {
+  return roundMm(points / POINTS_PER_INCH * MM_PER_INCH);
+}
+
+/**
+ * Round a length to a tenth of a millimetre
+ * @param {number} mm - Length in mm
+ * @returns {number} Rounded length
+ */
+function roundMm(mm) {
+  return Math.round(mm * 10) / 10;
+}
+
+/**
+ * Format a size for messages
+ * @param {Object} size - Width and height in mm
+ * @returns {string} Size as "W x H mm"
+ */
+function formatSize(size) {
+  return `${roundMm(size.width)} x ${roundMm(size.height)} mm`;
+}
+
+export default {
+  preflightArtwork,
+};
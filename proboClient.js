@@ -4,75 +4,221 @@
  */
 
 import axios from 'axios';
-import dotenv from 'dotenv';
+import { randomUUID } from 'crypto';
+import http from 'http';
+import https from 'https';
+import { getAccount, withAccount } from './accounts.js';
+import { checkSetting } from './config.js';
+import { findHeldOrder, holdOrder, removeHeldOrder } from './heldOrderStore.js';
+import { createLogger } from './logger.js';
+import { findSubmission, getIdempotencyKey, recordSubmission } from './orderStore.js';
+import {
+  createCircuitBreaker,
+  createRateLimiter,
+  getRetryDelay,
+  isUnavailableError,
+  PROBO_UNAVAILABLE,
+  sleep,
+} from './resilience.js';
+import { assertValidRequest } from './specValidator.js';
 
-// Load environment variables
-dotenv.config();
+const log = createLogger('proboClient');
 
+// Timeout of a single request attempt
+const TIMEOUT_MS = Number(process.env.PROBO_TIMEOUT_MS) || 30 * 1000;
 
-// Initialize API configuration from environment variables
-const PROBO_API_KEY = process.env.PROBO_API_KEY;
-const PROBO_API_URL = process.env.PROBO_API_URL || 'https://api.proboprints.com';
-const PROBO_API_MODE = process.env.PROBO_API_MODE || 'test';
+// Retries of idempotent requests after a network error, timeout, 429 or 5xx,
+// waiting PROBO_RETRY_BASE_DELAY_MS before the first and doubling from there
+const MAX_RETRIES = process.env.PROBO_MAX_RETRIES ? Number(process.env.PROBO_MAX_RETRIES) : 3;
+const RETRY_BASE_DELAY_MS = Number(process.env.PROBO_RETRY_BASE_DELAY_MS) || 500;
 
-// Enable/disable detailed logging
-const ENABLE_DETAILED_LOGGING = true;
+// Requests per second per account, 0 for no limit
+const RATE_LIMIT = process.env.PROBO_RATE_LIMIT ? Number(process.env.PROBO_RATE_LIMIT) : 10;
 
-if (!PROBO_API_KEY) {
-  throw new Error('PROBO_API_KEY environment variable must be set');
-}
+// Failed requests in a row after which requests are paused for the cooldown
+const CIRCUIT_BREAKER_THRESHOLD = Number(process.env.PROBO_CIRCUIT_BREAKER_THRESHOLD) || 5;
+const CIRCUIT_BREAKER_COOLDOWN_MS = Number(process.env.PROBO_CIRCUIT_BREAKER_COOLDOWN_MS) || 30 * 1000;
+
+// Connections are kept open between requests
+const httpAgent = new http.Agent({ keepAlive: true });
+const httpsAgent = new https.Agent({ keepAlive: true });
+
+// API clients, keyed by account name. Each account has its own rate limit and circuit breaker.
+const clients = new Map();
+
+// Check request bodies against probo-api-spec.json before sending them.
+// Set PROBO_VALIDATE_REQUESTS=false if the spec falls behind the live API.
+const VALIDATE_REQUESTS = process.env.PROBO_VALIDATE_REQUESTS !== 'false';
+
+// How missing order data is handled: 'strict' rejects the request and lists the missing
+// fields, 'permissive' fills in a default and reports it in the result. Unless set, test
+// requests are permissive and production requests strict.
+const DEFAULTS_POLICY = process.env.PROBO_DEFAULTS_POLICY;
+
+// Defaults used by the permissive policy
+const DEFAULT_DIMENSION = 1000;
+const PLACEHOLDER_FILES = [{ uri: 'https://placekitten.com/800/600', fill: true }];
+
+// Production orders are placed in two steps: prepareOrder returns a token, and
+// confirmOrder places the order with it before it expires.
+const CONFIRMATION_TTL_MS = 10 * 60 * 1000;
+
+// Spending limits for production orders per account, as purchase price excluding VAT. Unset means no limit.
+const MAX_ORDER_PRICE = process.env.PROBO_MAX_ORDER_PRICE ? Number(process.env.PROBO_MAX_ORDER_PRICE) : null;
+const MAX_DAILY_SPEND = process.env.PROBO_MAX_DAILY_SPEND ? Number(process.env.PROBO_MAX_DAILY_SPEND) : null;
+
+// Prepared orders waiting for confirmation, keyed by confirmation token
+const pendingConfirmations = new Map();
+
+// Confirmed production spending per account and day, keyed by "account/YYYY-MM-DD".
+// Kept in memory, so it starts at zero when the server restarts.
+const dailySpending = new Map();
+
+// Settings that are not valid are reported with the accounts, and no account can be used until they are fixed
+checkSetting(!DEFAULTS_POLICY || ['strict', 'permissive'].includes(DEFAULTS_POLICY), 'PROBO_DEFAULTS_POLICY must be "strict" or "permissive"');
+checkSetting(!Number.isNaN(MAX_ORDER_PRICE) && !Number.isNaN(MAX_DAILY_SPEND), 'PROBO_MAX_ORDER_PRICE and PROBO_MAX_DAILY_SPEND must be numbers');
+checkSetting(!Number.isNaN(MAX_RETRIES) && !Number.isNaN(RATE_LIMIT), 'PROBO_MAX_RETRIES and PROBO_RATE_LIMIT must be numbers');
 
 /**
- * Creates an authorized API client for Probo
- * @returns {Object} Axios instance configured for Probo API
+ * Get the authorized API client for Probo
+ * The client is created once per account and shared by all calls.
+ * @returns {Object} Axios instance configured for the account selected for the current call
+ * @throws {Error} When the account is not configured correctly
  */
 function createProboClient() {
+  const account = getAccount();
+  
+  if (!clients.has(account.name)) {
+    clients.set(account.name, buildClient(account));
+  }
+  
+  return clients.get(account.name);
+}
+
+/**
+ * Build the API client of an account
+ * Idempotent requests are retried with backoff; other requests, like placing an
+ * order, are sent once. A request that still fails after its retries counts as
+ * one failure for the circuit breaker. While the breaker is open, requests fail
+ * right away with a "Probo is unavailable" error.
+ * @param {Object} account - Account from the registry
+ * @returns {Object} Axios instance
+ */
+function buildClient(account) {
   const client = axios.create({
-    baseURL: PROBO_API_URL,
+    baseURL: account.apiUrl,
+    timeout: TIMEOUT_MS,
+    httpAgent,
+    httpsAgent,
     headers: {
-      'Authorization': `Basic ${PROBO_API_KEY}`,
+      'Authorization': `Basic ${account.apiKey}`,
       'Content-Type': 'application/json',
     },
   });
   
-  // Add request/response interceptors for logging if enabled
-  if (ENABLE_DETAILED_LOGGING) {
-    // Log request details
+  const limiter = createRateLimiter(RATE_LIMIT);
+  const breaker = createCircuitBreaker(CIRCUIT_BREAKER_THRESHOLD, CIRCUIT_BREAKER_COOLDOWN_MS);
+  
+  // Request interceptors run in reverse order, so this runs last, after validation.
+  // Retries belong to a request the breaker already let through.
+  client.interceptors.request.use(async request => {
+    if (!request.retryCount) {
+      breaker.assertClosed();
+    }
+    
+    await limiter.take();
+    
+    return request;
+  });
+  
+  // Reject malformed bodies locally instead of waiting for a 400 from Probo.
+  // Retries were validated on their first attempt.
+  if (VALIDATE_REQUESTS) {
     client.interceptors.request.use(request => {
-      console.log('\n[API REQUEST]');
-      console.log(`${request.method.toUpperCase()} ${request.baseURL}${request.url}`);
-      console.log('Headers:', JSON.stringify(request.headers, null, 2));
-      
-      if (request.data) {
-        console.log('Request payload:', JSON.stringify(request.data, null, 2));
+      if (request.data && !request.retryCount) {
+        assertValidRequest(request.method, request.url, request.data);
       }
       
       return request;
     });
+  }
+  
+  // Log requests and responses; headers are left out, they hold the API key.
+  // Bodies are only logged at debug level.
+  client.interceptors.request.use(request => {
+    request.startedAt = Date.now();
+    log.debug('API request', {
+      method: request.method.toUpperCase(),
+      url: `${request.baseURL}${request.url}`,
+      body: request.data,
+    });
     
-    // Log response details
-    client.interceptors.response.use(
-      response => {
-        console.log('\n[API RESPONSE]');
-        console.log(`Status: ${response.status} ${response.statusText}`);
-        console.log('Response data:', JSON.stringify(response.data, null, 2));
-        return response;
-      },
-      error => {
-        console.log('\n[API ERROR]');
-        if (error.response) {
-          console.log(`Status: ${error.response.status} ${error.response.statusText}`);
-          console.log('Response data:', JSON.stringify(error.response.data, null, 2));
-        } else if (error.request) {
-          console.log('No response received');
-          console.log('Request:', error.request);
-        } else {
-          console.log('Error message:', error.message);
+    return request;
+  });
+  
+  client.interceptors.response.use(
+    response => {
+      log.info('API response', {
+        method: response.config.method.toUpperCase(),
+        url: response.config.url,
+        status: response.status,
+        duration_ms: Date.now() - response.config.startedAt,
+      });
+      log.debug('API response body', { url: response.config.url, body: response.data });
+      return response;
+    },
+    error => {
+      // Errors from the request interceptors, like local validation, have no response
+      log.warn('API request failed', {
+        method: error.config?.method?.toUpperCase(),
+        url: error.config?.url,
+        status: error.response?.status,
+        duration_ms: error.config?.startedAt ? Date.now() - error.config.startedAt : undefined,
+        error: error.response ? error.response.data : error.message,
+      });
+      return Promise.reject(error);
+    }
+  );
+  
+  client.interceptors.response.use(
+    response => {
+      breaker.recordSuccess();
+      return response;
+    },
+    async error => {
+      const attempt = error.config?.retryCount || 0;
+      const delay = getRetryDelay(error, attempt, { maxRetries: MAX_RETRIES, baseDelayMs: RETRY_BASE_DELAY_MS });
+      
+      // A request counts once, when it is not retried any more. Only requests
+      // that were sent count, not local validation or an open breaker. A request
+      // that failed before it was sent may have been the trial of the breaker,
+      // which would otherwise keep every later request out.
+      if (delay === null) {
+        if (error.response || error.request) {
+          if (isUnavailableError(error)) {
+            breaker.recordFailure();
+          } else {
+            breaker.recordSuccess();
+          }
+        } else if (error.code !== PROBO_UNAVAILABLE) {
+          breaker.releaseTrial();
         }
-        return Promise.reject(error);
+        
+        throw error;
       }
-    );
-  }
+      
+      log.info('Retrying API request', {
+        method: error.config.method.toUpperCase(),
+        url: error.config.url,
+        status: error.response?.status,
+        attempt: attempt + 1,
+        delay_ms: delay,
+      });
+      
+      await sleep(delay);
+      return client.request({ ...error.config, retryCount: attempt + 1 });
+    }
+  );
   
   return client;
 }
@@ -80,7 +226,7 @@ function createProboClient() {
 /**
  * Get a list of all available products from Probo
  * @param {string} [query] - Optional search query
- * @param {Object} [options={}] - Additional options like page, per_page, etc.
+ * @param {Object} [options={}] - Additional options like page, per_page, language, updated_at_from and updated_at_to (yyyy-mm-dd)
  * @returns {Promise<Object>} Products response
  */
 export async function getProducts(query = '', options = {}) {
@@ -96,10 +242,23 @@ export async function getProducts(query = '', options = {}) {
     queryParams.append('search', query);
   }
   
+  if (options.language) {
+    queryParams.append('language', options.language);
+  }
+  
+  // Only products updated in this range of days, used by the catalogue sync
+  if (options.updated_at_from) {
+    queryParams.append('updated_at_from', options.updated_at_from);
+  }
+  
+  if (options.updated_at_to) {
+    queryParams.append('updated_at_to', options.updated_at_to);
+  }
+  
   const url = `/products${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
   
   try {
-    console.log('\n[getProducts] Fetching products from:', url);
+    log.info('Fetching products', { operation: 'getProducts', url });
     const response = await client.get(url);
     
     // Transform response data to a consistent format
@@ -111,7 +270,7 @@ export async function getProducts(query = '', options = {}) {
       meta: responseData.meta || {}
     };
     
-    console.log(`[getProducts] Found ${transformedData.products.length} products`);
+    log.info('Found products', { operation: 'getProducts', count: transformedData.products.length });
     
     return transformedData;
   } catch (error) {
@@ -120,269 +279,1509 @@ export async function getProducts(query = '', options = {}) {
 }
 
 /**
- * Configure a product with options
- * @param {string} productCode - The product code to configure
- * @param {Array} [options=[]] - Product options to apply
- * @param {Object} [address=null] - Delivery address if needed
- * @param {string} [language='en'] - Language code
- * @returns {Promise<Object>} Product configuration
+ * Get a single product with its full option tree
+ * @param {string} productCode - The product code to retrieve
+ * @param {string} [language='en'] - Language code used for option names
+ * @param {Array<string>} [uploaderApplications=[]] - Uploader applications to include in the product data
+ * @returns {Promise<Object>} Product with structured options and dimension limits
  */
-export async function configureProduct(productCode, options = [], address = null, language = 'en') {
+export async function getProduct(productCode, language = 'en', uploaderApplications = []) {
   const client = createProboClient();
   
-  console.log(`\n[configureProduct] Configuring product: ${productCode}`);
-  
-  // Add minimum required options if not provided (width and height)
-  let productOptions = [...options];
-  
-  // Check if width and height are already in options
-  const hasWidth = productOptions.some(opt => opt.code === 'width' || opt.code === 'width_mm');
-  const hasHeight = productOptions.some(opt => opt.code === 'height' || opt.code === 'height_mm');
-  
-  // Add default dimensions if not specified (most products require these)
-  if (!hasWidth) {
-    productOptions.push({ code: 'width', value: 1000 });
-  }
+  const queryParams = new URLSearchParams();
+  queryParams.append('language', language);
   
-  if (!hasHeight) {
-    productOptions.push({ code: 'height', value: 1000 });
+  // The spec declares uploader-application as an array query parameter (comma separated)
+  if (uploaderApplications.length > 0) {
+    queryParams.append('uploader-application', uploaderApplications.join(','));
   }
   
-  // The /products endpoint returns products with 'code', so use that format
-  const payload = {
-    products: [
-      {
-        // Use the standard code field as seen in the /products API response
-        code: productCode,
-        options: productOptions,
-      },
-    ],
-    language,
-  };
-  
-  // Add delivery address if provided
-  if (address) {
-    payload.deliveries = [{
-      address,
-    }];
-  }
+  const url = `/products/product/${encodeURIComponent(productCode)}?${queryParams.toString()}`;
   
   try {
-    console.log('[configureProduct] Sending configuration request with options:', 
-      JSON.stringify(productOptions, null, 2));
-    const response = await client.post('/products/configure', payload);
-    return response.data;
-  } catch (error) {
-    // Log the original request payload for debugging
-    console.log('[configureProduct] Request failed with payload:', JSON.stringify(payload, null, 2));
+    log.info('Fetching product', { operation: 'getProduct', url });
+    const response = await client.get(url);
     
-    // Try to get a product directly to help debugging
-    try {
-      console.log(`[configureProduct] Attempting to fetch product '${productCode}' directly from /products`);
-      const productsResponse = await client.get(`/products?search=${encodeURIComponent(productCode)}`);
-      console.log('[configureProduct] Search results:', JSON.stringify(productsResponse.data, null, 2));
-      
-      // If products were found, suggest a valid code
-      if (productsResponse.data.data && productsResponse.data.data.length > 0) {
-        const firstProduct = productsResponse.data.data[0];
-        console.log(`[configureProduct] Found product: ${firstProduct.code} - ${firstProduct.translations?.en?.title || 'Untitled'}`);
-        console.log('[configureProduct] Try using this code instead');
-      }
-    } catch (searchError) {
-      console.log('[configureProduct] Failed to fetch product details:', searchError.message);
-    }
+    // Some responses wrap the product in a data key
+    const product = response.data.data || response.data;
+    const options = (product.options || []).map(option => formatProductOption(option, language));
+    
+    const transformedData = {
+      code: product.code,
+      title: getTranslation(product, language, 'title'),
+      description: getTranslation(product, language, 'description'),
+      article_group_name: product.article_group_name,
+      options,
+      dimensions: collectDimensions(options),
+    };
+    
+    log.info('Found product', { operation: 'getProduct', code: transformedData.code, options: options.length });
     
-    handleApiError(error, 'Failed to configure product');
+    return transformedData;
+  } catch (error) {
+    handleApiError(error, 'Failed to get product');
   }
 }
 
 /**
- * Place an order with Probo
- * @param {Object} configuration - Complete product configuration
- * @param {Object} address - Delivery address
- * @param {string} reference - Customer reference for the order
- * @param {boolean} [isTest=true] - Whether this is a test order (sets order_type to "test" or "production")
- * @param {Object} [additionalOptions={}] - Additional order options like callbackUrl, errorEmails, etc.
- * @returns {Promise<Object>} Order response
- * @see https://apidocs.proboprints.com/getting-started/sandbox-test-env - Probo sandbox/test environment docs
- * @see https://apidocs.proboprints.com/examples/order - Probo order examples
+ * Get volume pricing tiers for a product
+ * @param {string} productCode - The product code to get tiers for
+ * @returns {Promise<Object>} Tiers per product variant with unit and total prices
  */
-export async function placeOrder(configuration, address, reference, isTest = PROBO_API_MODE === 'test', additionalOptions = {}) {
+export async function getProductTiers(productCode) {
   const client = createProboClient();
   
-  // Format the address according to API expectations
-  const formattedAddress = {
-    company_name: address.address_company_name || '',
-    first_name: address.address_first_name,
-    last_name: address.address_last_name,
-    street: address.address_street,
-    house_number: address.address_house_number,
-    addition: address.address_addition || '',
-    postal_code: address.address_postal_code,
-    city: address.address_city,
-    country: address.address_country,
-    phone: address.address_telephone_number || '',
-    email: address.address_email || ''
-  };
+  const url = `/products/product/${encodeURIComponent(productCode)}/tiers`;
   
-  // Transform products to match API requirements
-  const formattedProducts = (configuration.products || []).map(product => {
-    // Create a new product object with only the allowed fields
-    const formattedProduct = {
-      // Use code as primary identifier (required by the API)
-      code: product.code || product.customer_code,
-    };
-    
-    // Include options if they exist
-    if (product.options && product.options.length > 0) {
-      formattedProduct.options = product.options;
-    }
+  try {
+    log.info('Fetching product tiers', { operation: 'getProductTiers', url });
+    const response = await client.get(url);
     
-    // Add files if they exist
-    if (product.files && product.files.length > 0) {
-      formattedProduct.files = product.files;
-    } else if (!product.options || product.options.length === 0) {
-      // Add a placeholder test file if no files or options are provided
-      formattedProduct.files = [
-        {
-          uri: "https://placekitten.com/800/600",
-          fill: true
-        }
-      ];
-    }
+    // The endpoint returns an array of tier objects, one per product variant
+    const tierGroups = Array.isArray(response.data) ? response.data : (response.data.data || []);
     
-    // Add uploader if it exists
-    if (product.uploader) {
-      formattedProduct.uploader = product.uploader;
-    }
+    const transformedData = {
+      code: productCode,
+      products: tierGroups.map(formatTierGroup),
+    };
     
-    // Add uploaders array if it exists
-    if (product.uploaders && product.uploaders.length > 0) {
-      formattedProduct.uploaders = product.uploaders;
-    }
+    log.info('Found product tiers', { operation: 'getProductTiers', variants: transformedData.products.length });
     
-    return formattedProduct;
-  });
+    return transformedData;
+  } catch (error) {
+    handleApiError(error, 'Failed to get product tiers');
+  }
+}
+
+/**
+ * Get a list of the customer API products saved in the reseller's account
+ * @param {Object} [options={}] - Options like page, per_page and language
+ * @returns {Promise<Object>} Customer products response
+ */
+export async function getCustomerProducts(options = {}) {
+  const client = createProboClient();
   
-  // Build order payload based on examples from documentation
-  const orderPayload = {
-    order_type: isTest ? "test" : "production",
-    reference: reference,
-    id: additionalOptions.orderId || `order-${Date.now()}`, // Generate an ID if not provided (required)
-    contact_email: address.address_email || additionalOptions.contactEmail || '',
-    
-    // Add callback URLs if provided
-    ...(additionalOptions.callbackUrl ? { 
-      callback_url: Array.isArray(additionalOptions.callbackUrl) 
-        ? additionalOptions.callbackUrl 
-        : [additionalOptions.callbackUrl] 
-    } : {}),
-    
-    // Add error email addresses if provided
-    ...(additionalOptions.errorEmails ? { 
-      error_email_addresses: Array.isArray(additionalOptions.errorEmails) 
-        ? additionalOptions.errorEmails 
-        : [additionalOptions.errorEmails] 
-    } : {}),
-    
-    // Add deliveries with formatted address and shipping options
-    deliveries: [
-      {
-        address: formattedAddress,
-        shipping_method_preset: additionalOptions.shippingMethodPreset || "cheapest",
-        delivery_date_preset: additionalOptions.deliveryDatePreset || "cheapest"
-      }
-    ],
-    
-    // Add configured products with correct structure
-    products: formattedProducts
-  };
+  const queryParams = new URLSearchParams();
+  queryParams.append('page', options.page || 1);
+  queryParams.append('per_page', options.per_page || 20);
+  
+  if (options.language) {
+    queryParams.append('language', options.language);
+  }
+  
+  const url = `/apiproducts?${queryParams.toString()}`;
   
   try {
-    console.log(`\n[placeOrder] Placing ${isTest ? 'TEST' : 'PRODUCTION'} order with reference: ${reference}`);
-    console.log('[placeOrder] Order payload:', JSON.stringify(orderPayload, null, 2));
+    log.info('Fetching customer products', { operation: 'getCustomerProducts', url });
+    const response = await client.get(url);
     
-    const response = await client.post('/order', orderPayload);
-    return response.data;
+    const transformedData = {
+      products: response.data.products || [],
+      meta: response.data.meta || {}
+    };
+    
+    log.info('Found customer products', { operation: 'getCustomerProducts', count: transformedData.products.length });
+    
+    return transformedData;
   } catch (error) {
-    handleApiError(error, 'Failed to place order');
+    handleApiError(error, 'Failed to fetch customer products');
   }
 }
 
 /**
- * Get order status for specified order IDs
- * @param {Array<string>} orderIds - Array of order IDs to check
- * @returns {Promise<Object>} Order status response
+ * Get a single customer API product including its saved options
+ * @param {string} customerCode - The customer code of the API product
+ * @param {string} [language='en'] - Language code
+ * @returns {Promise<Object>} Customer product
  */
-export async function getOrderStatus(orderIds) {
+export async function getCustomerProduct(customerCode, language = 'en') {
   const client = createProboClient();
   
-  const payload = {
-    orders: orderIds.map(id => ({ id }))
-  };
+  const url = `/apiproducts/product/${encodeURIComponent(customerCode)}?language=${encodeURIComponent(language)}`;
   
   try {
-    console.log(`\n[getOrderStatus] Checking status for orders: ${orderIds.join(', ')}`);
-    const response = await client.post('/order/status', payload);
-    return response.data;
+    log.info('Fetching customer product', { operation: 'getCustomerProduct', url });
+    const response = await client.get(url);
+    
+    // Some responses wrap the product in a value key, as in the spec example
+    return response.data.value || response.data;
   } catch (error) {
-    handleApiError(error, 'Failed to get order status');
+    handleApiError(error, 'Failed to get customer product');
   }
 }
 
 /**
- * Get details for all orders
- * @param {Object} [filters={}] - Optional filters for the orders query
- * @returns {Promise<Object>} Orders response
+ * Configure a product with options
+ * When a customer code is given, the saved customer API product is looked up
+ * and its Probo product is configured with the saved options, overridden by
+ * any options passed in with the same code.
+ * @param {string} productCode - The product code to configure (ignored when customerCode is set)
+ * @param {Array} [options=[]] - Product options to apply
+ * @param {Object} [address=null] - Delivery address if needed
+ * @param {string} [language='en'] - Language code
+ * @param {string} [customerCode=null] - Customer API product code to configure instead of a Probo code
+ * @returns {Promise<Object>} Product configuration
  */
-export async function getAllOrders(filters = {}) {
+export async function configureProduct(productCode, options = [], address = null, language = 'en', customerCode = null) {
+  return configureProducts([{ code: productCode, customer_code: customerCode, options }], address, language);
+}
+
+/**
+ * Configure multiple products in a single /products/configure request
+ * @param {Array<Object>} products - Products with code or customer_code, options and an optional id
+ * @param {Object} [address=null] - Delivery address if needed
+ * @param {string} [language='en'] - Language code
+ * @param {Object} [settings={}] - Configuration settings
+ * @param {boolean} [settings.defaultDimensions] - Add a width and height of 1000 when they are missing (true), never add them (false), or follow the defaults policy (default)
+ * @returns {Promise<Object>} Products configuration, with defaults_applied listing any defaults that were added
+ * @throws {Error} When the defaults policy is strict and a width or height is missing
+ */
+export async function configureProducts(products, address = null, language = 'en', settings = {}) {
+  const { defaultDimensions } = settings;
   const client = createProboClient();
   
-  const queryParams = new URLSearchParams(filters);
-  const url = `/orders?${queryParams.toString()}`;
+  // Guided configuration turns the defaults off, it asks for the options Probo lists in available_options
+  const defaults = { policy: defaultDimensions ? 'permissive' : getDefaultsPolicy(), applied: [], missing: [] };
+  
+  const configuredProducts = [];
+  for (const [index, product] of products.entries()) {
+    const options = product.options || [];
+    let productCode = product.code;
+    
+    let baseOptions = [];
+    if (product.customer_code) {
+      const customerProduct = await getCustomerProduct(product.customer_code, language);
+      productCode = customerProduct.code;
+      baseOptions = formatSavedOptions(customerProduct.options || [], options);
+      log.info('Resolved customer product', { operation: 'configureProducts', customer_code: product.customer_code, code: productCode });
+    }
+    
+    log.info('Configuring product', { operation: 'configureProducts', code: productCode });
+    
+    // Add minimum required options if not provided (width and height)
+    const productOptions = [...baseOptions, ...options];
+    
+    // Add default dimensions if not specified (most products require these)
+    ['width', 'height'].forEach(dimension => {
+      const hasDimension = productOptions.some(opt => opt.code === dimension || opt.code === `${dimension}_mm`);
+      const hint = `Add a ${dimension} option, startConfiguration lists the options the product needs`;
+      
+      if (!hasDimension && defaultDimensions !== false && useDefault(defaults, `products[${index}].options.${dimension}`, DEFAULT_DIMENSION, hint)) {
+        productOptions.push({ code: dimension, value: DEFAULT_DIMENSION });
+      }
+    });
+    
+    configuredProducts.push({
+      // Use the standard code field as seen in the /products API response
+      code: productCode,
+      // Keep the caller's id so products can be told apart in the response
+      ...(product.id !== undefined ? { id: product.id } : {}),
+      options: productOptions,
+    });
+  }
+  
+  assertNoMissingFields(defaults, products.length > 1 ? 'Cannot configure products' : 'Cannot configure product');
+  
+  // The /products endpoint returns products with 'code', so use that format
+  const payload = {
+    products: configuredProducts,
+    language,
+  };
+  
+  // Add delivery address if provided
+  if (address) {
+    payload.deliveries = [{
+      address,
+    }];
+  }
   
   try {
-    console.log('\n[getAllOrders] Fetching orders with filters:', filters);
-    const response = await client.get(url);
-    return response.data;
+    const response = await client.post('/products/configure', payload);
+    return withDefaultsApplied(response.data, defaults.applied);
   } catch (error) {
-    handleApiError(error, 'Failed to get orders');
+    // Log the original request payload for debugging
+    log.debug('Configuration request failed', { operation: 'configureProducts', payload });
+    
+    // Try to get each product directly to help debugging
+    for (const { code: productCode } of configuredProducts) {
+      try {
+        log.debug('Searching for the product code', { operation: 'configureProducts', code: productCode });
+        const productsResponse = await client.get(`/products?search=${encodeURIComponent(productCode)}`);
+        
+        // If products were found, suggest a valid code
+        if (productsResponse.data.data && productsResponse.data.data.length > 0) {
+          const firstProduct = productsResponse.data.data[0];
+          log.info('Found a product for the code, try using it instead', {
+            operation: 'configureProducts',
+            code: firstProduct.code,
+            title: firstProduct.translations?.en?.title || 'Untitled',
+          });
+        }
+      } catch (searchError) {
+        log.debug('Product search failed', { operation: 'configureProducts', error: searchError.message });
+      }
+    }
+    
+    handleApiError(error, products.length > 1 ? 'Failed to configure products' : 'Failed to configure product');
   }
 }
 
 /**
- * Cancel an order with Probo
- * @param {string} orderId - The order ID to cancel
- * @returns {Promise<Object>} Cancellation response
+ * Create file uploader sessions for configured products
+ * @param {number} calculationId - The calculation_id from a /products/configure response
+ * @param {string} callbackUrl - URL that is called when uploads are finished
+ * @param {string} [language='en'] - Language of the uploader
+ * @returns {Promise<Object>} Uploaders response with an id and URL per product
  */
-export async function cancelOrder(orderId) {
+export async function createUploader(calculationId, callbackUrl, language = 'en') {
   const client = createProboClient();
   
-  // Use the correct simple payload format required by the API
   const payload = {
-    id: orderId
+    calculation_id: calculationId,
+    callback_url: callbackUrl,
+    language,
   };
   
   try {
-    console.log(`\n[cancelOrder] Cancelling order: ${orderId}`);
-    const response = await client.post('/order/cancel', payload);
+    log.info('Creating uploaders', { operation: 'createUploader', calculation_id: calculationId });
+    const response = await client.post('/products/uploader/create', payload);
+    
+    log.info('Created uploaders', { operation: 'createUploader', count: response.data.uploaders?.length || 0 });
+    
     return response.data;
   } catch (error) {
-    handleApiError(error, 'Failed to cancel order');
+    handleApiError(error, 'Failed to create uploader');
   }
 }
 
 /**
- * Utility function to handle API errors
- * @param {Error} error - The error from axios
- * @param {string} message - Custom error message prefix
- * @throws {Error} Enhanced error with API details
+ * Place an order with Probo
+ * Deliveries are built from address and the shipping options in additionalOptions,
+ * or from additionalOptions.deliveries to split the order over several addresses.
+ * Each of those deliveries has its own address, shipping options and optionally
+ * the amount per product, referencing products by their id.
+ * @param {Object} configuration - Complete product configuration
+ * @param {Object} address - Delivery address (may be null when additionalOptions.deliveries is set)
+ * @param {string} reference - Customer reference for the order
+ * @param {boolean} [isTest=true] - Whether this is a test order (sets order_type to "test" or "production")
+ * @param {Object} [additionalOptions={}] - Additional order options like callbackUrl, errorEmails, deliveries, projectId, hold, etc.
+ * @returns {Promise<Object>} Order response, or the held order when additionalOptions.hold is set, with defaults_applied listing any defaults that were added
+ * @throws {Error} For production orders that are not held, they are placed with prepareOrder and confirmOrder
+ * @see https://apidocs.proboprints.com/getting-started/sandbox-test-env - Probo sandbox/test environment docs
+ * @see https://apidocs.proboprints.com/examples/order - Probo order examples
  */
-function handleApiError(error, message) {
-  let errorMessage = message || 'API request failed';
-  let errorData = null;
+export async function placeOrder(configuration, address, reference, isTest = getAccount().mode === 'test', additionalOptions = {}) {
+  // Production orders are only placed after a confirmation, see prepareOrder.
+  // A held production order gets its confirmation when it is submitted.
+  if (!isTest && !additionalOptions.hold) {
+    throw new Error('Production orders need a confirmation: call prepareOrder for the price and a confirmation token, then confirmOrder with the token. To review the order first, place it with hold: true');
+  }
   
-  if (error.response) {
+  const client = createProboClient();
+  const { orderPayload, defaultsApplied, warnings, idempotencyKey } = buildOrder(configuration, address, reference, isTest, additionalOptions, 'Cannot place order');
+  
+  try {
+    // Keep the order on this server instead of submitting it so it can be reviewed first.
+    // The Probo API has no hold flag, Probo does not know about the order until it is submitted.
+    if (additionalOptions.hold) {
+      // Validate now so a held order does not fail only when it is submitted
+      if (VALIDATE_REQUESTS) {
+        assertValidRequest('post', '/order', orderPayload);
+      }
+      
+      const held = holdOrder(getAccount().name, orderPayload, { configuration, address, reference, additionalOptions });
+      log.info('Holding order', { operation: 'placeOrder', order_id: orderPayload.id, order_type: orderPayload.order_type, reference });
+      
+      return withDefaultsApplied({
+        status: 'on_hold',
+        message: isTest
+          ? 'Order is held by this server and not sent to Probo until it is submitted with submitHeldOrder'
+          : 'Order is held by this server and not sent to Probo. submitHeldOrder prepares it, and confirmOrder places it with the confirmation token',
+        id: orderPayload.id,
+        held_at: held.held_at,
+        order: orderPayload,
+      }, defaultsApplied, warnings);
+    }
+    
+    log.info('Placing order', { operation: 'placeOrder', order_id: orderPayload.id, order_type: orderPayload.order_type, reference });
+    
+    const result = await submitOrder(client, orderPayload, idempotencyKey);
+    return withDefaultsApplied(result, defaultsApplied, warnings);
+  } catch (error) {
+    handleApiError(error, 'Failed to place order');
+  }
+}
+
+/**
+ * Prepare an order for confirmation
+ * Builds, validates and prices the order without placing it. The order is
+ * placed by confirmOrder with the returned token before the token expires.
+ * Production orders are checked against the spending limits, if configured.
+ * @param {Object} configuration - Complete product configuration
+ * @param {Object} address - Delivery address (may be null when additionalOptions.deliveries is set)
+ * @param {string} reference - Customer reference for the order
+ * @param {boolean} [isTest=true] - Whether this is a test order (sets order_type to "test" or "production")
+ * @param {Object} [additionalOptions={}] - Additional order options, as for placeOrder
+ * @returns {Promise<Object>} Order summary, price and confirmation token
+ * @throws {Error} When the order is invalid or over a spending limit
+ */
+export async function prepareOrder(configuration, address, reference, isTest = getAccount().mode === 'test', additionalOptions = {}) {
+  removeExpiredConfirmations();
+  
+  const { orderPayload, defaultsApplied, warnings, idempotencyKey } = buildOrder(configuration, address, reference, isTest, additionalOptions, 'Cannot prepare order');
+  
+  if (VALIDATE_REQUESTS) {
+    try {
+      assertValidRequest('post', '/order', orderPayload);
+    } catch (error) {
+      handleApiError(error, 'Failed to prepare order');
+    }
+  }
+  
+  // The price endpoint has no shipping date, those deliveries are priced by their shipping method
+  const withoutShippingDate = ({ shippingDate, ...options }) => options;
+  const price = await getOrderPrice(configuration, address, {
+    ...withoutShippingDate(additionalOptions),
+    deliveries: (additionalOptions.deliveries || []).map(withoutShippingDate),
+  });
+  
+  // Without a price the spending limits cannot be checked
+  if (price.prices.length === 0) {
+    throw new Error('Cannot prepare order: Probo returned no price for the order, check the configuration with getOrderPrice');
+  }
+  
+  // The delivery date decides the production time, so count on the most expensive option
+  const maximumPrice = Math.max(...price.prices.map(getPurchasePrice));
+  
+  if (!isTest) {
+    assertWithinSpendingLimits(maximumPrice);
+  }
+  
+  const confirmationToken = randomUUID();
+  const expiresAt = Date.now() + CONFIRMATION_TTL_MS;
+  pendingConfirmations.set(confirmationToken, {
+    account: getAccount().name,
+    orderPayload,
+    idempotencyKey,
+    price: maximumPrice,
+    expiresAt,
+    defaultsApplied,
+    warnings,
+  });
+  
+  log.info('Prepared order, waiting for confirmation', { operation: 'prepareOrder', order_id: orderPayload.id, order_type: orderPayload.order_type, price: maximumPrice });
+  
+  return withDefaultsApplied({
+    status: 'awaiting_confirmation',
+    message: 'Check the summary and price, then call confirmOrder with the confirmation token to place the order',
+    confirmation_token: confirmationToken,
+    expires_at: new Date(expiresAt).toISOString(),
+    summary: summarizeOrder(orderPayload),
+    price: {
+      purchase_price: maximumPrice,
+      options: price.prices,
+    },
+    ...(isTest ? {} : { spending_limits: getSpendingLimits() }),
+  }, defaultsApplied, warnings);
+}
+
+/**
+ * Place an order prepared with prepareOrder
+ * A token places at most one order, also when placing it fails. The order is
+ * placed with the account it was prepared with.
+ * @param {string} confirmationToken - confirmation_token from prepareOrder
+ * @returns {Promise<Object>} Order response
+ * @throws {Error} When the token is unknown or expired, or the order is over a spending limit
+ */
+export async function confirmOrder(confirmationToken) {
+  removeExpiredConfirmations();
+  
+  const pending = pendingConfirmations.get(confirmationToken);
+  if (!pending) {
+    throw new Error('Confirmation token not found or expired, prepare the order again with prepareOrder');
+  }
+  
+  return withAccount(pending.account, () => placeConfirmedOrder(confirmationToken, pending));
+}
+
+async function placeConfirmedOrder(confirmationToken, pending) {
+  const { orderPayload } = pending;
+  const isProduction = orderPayload.order_type === 'production';
+  const today = getAccountKey(new Date().toISOString().slice(0, 10));
+  
+  // Other orders may have been confirmed since this one was prepared. The price is
+  // reserved before the order is sent, so orders confirmed at the same time see it.
+  if (isProduction) {
+    assertWithinSpendingLimits(pending.price);
+    addSpending(today, pending.price);
+  }
+  
+  pendingConfirmations.delete(confirmationToken);
+  
+  const client = createProboClient();
+  try {
+    log.info('Placing confirmed order', { operation: 'confirmOrder', order_id: orderPayload.id, order_type: orderPayload.order_type, reference: orderPayload.reference });
+    
+    const result = await submitOrder(client, orderPayload, pending.idempotencyKey);
+    
+    // A duplicate was paid for when it was placed the first time
+    if (isProduction && result.status === 'duplicate') {
+      addSpending(today, -pending.price);
+    }
+    
+    if (pending.heldOrderId) {
+      removeHeldOrder(pending.account, pending.heldOrderId);
+    }
+    
+    return withDefaultsApplied(result, pending.defaultsApplied, pending.warnings);
+  } catch (error) {
+    if (isProduction) {
+      addSpending(today, -pending.price);
+    }
+    
+    handleApiError(error, 'Failed to place order');
+  }
+}
+
+/**
+ * Create an order draft that can be finished in the Probo webshop
+ * Uses the same product and delivery formatting as placeOrder; files are
+ * not accepted for drafts, artwork is added in the webshop or via uploaders.
+ * @param {Object} configuration - Complete product configuration
+ * @param {Object} address - Delivery address (may be null when additionalOptions.deliveries is set)
+ * @param {string} reference - Customer reference for the draft
+ * @param {Object} [additionalOptions={}] - Additional options like draftId, contactEmail, deliveries and shipping options
+ * @returns {Promise<Object>} Draft response
+ */
+export async function createDraft(configuration, address, reference, additionalOptions = {}) {
+  const client = createProboClient();
+  
+  const formattedProducts = (configuration.products || []).map(product => formatOrderProduct(product, false));
+  const formattedDeliveries = formatOrderDeliveries(address, additionalOptions);
+  const contactEmail = formattedDeliveries[0].address.email || additionalOptions.contactEmail;
+  
+  const draftPayload = {
+    id: additionalOptions.draftId || `draft-${Date.now()}`, // Generate an ID if not provided (required)
+    reference: reference,
+    ...(contactEmail ? { contact_email: contactEmail } : {}),
+    language: configuration.language || 'en',
+    deliveries: formattedDeliveries,
+    products: formattedProducts
+  };
+  
+  try {
+    log.info('Creating draft', { operation: 'createDraft', draft_id: draftPayload.id, reference });
+    
+    const response = await client.post('/drafts', draftPayload);
+    return response.data;
+  } catch (error) {
+    handleApiError(error, 'Failed to create draft');
+  }
+}
+
+/**
+ * Get a price quote for an order without placing it
+ * @param {Object} configuration - Complete product configuration
+ * @param {Object} [address=null] - Delivery address, used to include delivery costs
+ * @param {Object} [additionalOptions={}] - Additional options like shippingMethodCode, shippingMethodPreset, deliveryDate, deliveryDatePreset, or deliveries for several addresses
+ * @returns {Promise<Object>} Price options with per-product and total prices
+ */
+export async function getOrderPrice(configuration, address = null, additionalOptions = {}) {
+  const client = createProboClient();
+  
+  // The price endpoint only accepts code, options and reference per product (no files or uploaders)
+  const formattedProducts = (configuration.products || []).map(product => {
+    const formattedProduct = {
+      ...getProductIdentifier(product),
+    };
+    
+    if (product.options && product.options.length > 0) {
+      formattedProduct.options = product.options;
+    }
+    
+    if (product.reference) {
+      formattedProduct.reference = product.reference;
+    }
+    
+    return formattedProduct;
+  });
+  
+  const payload = {
+    products: formattedProducts,
+    language: configuration.language || 'en',
+  };
+  
+  // Add the deliveries so shipping costs and dates are included in the quote
+  const deliveries = additionalOptions.deliveries && additionalOptions.deliveries.length > 0
+    ? additionalOptions.deliveries
+    : (address ? [{ ...additionalOptions, address }] : []);
+  
+  if (deliveries.length > 0) {
+    assertNoDeliveryAmounts(deliveries);
+    payload.deliveries = deliveries.map(delivery => ({
+      address: formatAddress(delivery.address),
+      // The price endpoint has no shipping date variant
+      ...formatDeliveryOptions(delivery, false)
+    }));
+  }
+  
+  try {
+    log.info('Requesting price', { operation: 'getOrderPrice', products: formattedProducts.length });
+    
+    const response = await client.post('/price', payload);
+    const responseData = response.data;
+    
+    // Flatten each price option into per-product and total prices
+    const transformedData = {
+      status: responseData.status,
+      message: responseData.message,
+      prices: (responseData.prices || []).map(formatPriceOption),
+    };
+    
+    log.info('Received price options', { operation: 'getOrderPrice', count: transformedData.prices.length });
+    
+    return transformedData;
+  } catch (error) {
+    handleApiError(error, 'Failed to get order price');
+  }
+}
+
+/**
+ * Get the available shipping methods
+ * @param {Object} [options={}] - Options like language and type
+ * @returns {Promise<Object>} Shipping methods response
+ */
+export async function getShippingMethods(options = {}) {
+  const client = createProboClient();
+  const language = options.language || 'en';
+  
+  const queryParams = new URLSearchParams({ language });
+  if (options.type) {
+    queryParams.append('type', options.type);
+  }
+  
+  const url = `/shipping/methods?${queryParams.toString()}`;
+  
+  try {
+    log.info('Fetching shipping methods', { operation: 'getShippingMethods', url });
+    const response = await client.get(url);
+    
+    const methods = Array.isArray(response.data) ? response.data : (response.data.data || []);
+    
+    const transformedData = {
+      shipping_methods: methods.map(method => ({
+        code: method.code,
+        title: getTranslation(method, language, 'title'),
+        short_description: getTranslation(method, language, 'short_description'),
+        description: getTranslation(method, language, 'description'),
+        type: method.type,
+        carrier_code: method.carrier_code,
+        requires_email: method.requires_email,
+        requires_phone: method.requires_phone,
+      })),
+    };
+    
+    log.info('Found shipping methods', { operation: 'getShippingMethods', count: transformedData.shipping_methods.length });
+    
+    return transformedData;
+  } catch (error) {
+    handleApiError(error, 'Failed to get shipping methods');
+  }
+}
+
+/**
+ * Get order status for specified order IDs
+ * @param {Array<string>} orderIds - Array of order IDs to check
+ * @returns {Promise<Object>} Order status response
+ */
+export async function getOrderStatus(orderIds) {
+  const client = createProboClient();
+  
+  const payload = {
+    orders: orderIds.map(id => ({ id }))
+  };
+  
+  try {
+    log.info('Checking order status', { operation: 'getOrderStatus', order_ids: orderIds });
+    const response = await client.post('/order/status', payload);
+    return response.data;
+  } catch (error) {
+    handleApiError(error, 'Failed to get order status');
+  }
+}
+
+/**
+ * Get details for all orders
+ * @param {Object} [filters={}] - Optional filters for the orders query
+ * @returns {Promise<Object>} Orders response
+ */
+export async function getAllOrders(filters = {}) {
+  const client = createProboClient();
+  
+  const queryParams = new URLSearchParams(filters);
+  const url = `/orders?${queryParams.toString()}`;
+  
+  try {
+    log.info('Fetching orders', { operation: 'getAllOrders', filters });
+    const response = await client.get(url);
+    return response.data;
+  } catch (error) {
+    handleApiError(error, 'Failed to get orders');
+  }
+}
+
+/**
+ * Create a project to group orders
+ * @param {string} name - Project name (max 50 characters)
+ * @param {Object} [details={}] - Optional number (max 50 characters) and note (max 1000 characters)
+ * @returns {Promise<Object>} Project response including the project ID
+ */
+export async function createProject(name, details = {}) {
+  const client = createProboClient();
+  
+  const payload = {
+    name,
+    ...(details.number ? { number: details.number } : {}),
+    ...(details.note ? { note: details.note } : {}),
+  };
+  
+  try {
+    log.info('Creating project', { operation: 'createProject', name });
+    const response = await client.post('/project', payload);
+    return response.data;
+  } catch (error) {
+    handleApiError(error, 'Failed to create project');
+  }
+}
+
+/**
+ * Get all projects
+ * @param {Object} [filters={}] - Optional pagination like page and per_page
+ * @returns {Promise<Object>} Projects response
+ */
+export async function getProjects(filters = {}) {
+  const client = createProboClient();
+  
+  const queryParams = new URLSearchParams(filters);
+  const url = `/projects?${queryParams.toString()}`;
+  
+  try {
+    log.info('Fetching projects', { operation: 'getProjects', filters });
+    const response = await client.get(url);
+    return response.data;
+  } catch (error) {
+    handleApiError(error, 'Failed to get projects');
+  }
+}
+
+/**
+ * Create a support ticket for an order
+ * @param {string} orderId - The order ID the ticket is about
+ * @param {string} reason - Reason for creating the ticket
+ * @param {string} suggestedSolution - Suggested solution, e.g. a reprint or refund
+ * @param {Object} [additionalOptions={}] - Additional options like ticketId, message, contactEmail, supplierOrderNumber and products
+ * @returns {Promise<Object>} Ticket response including the ticket ID
+ */
+export async function createTicket(orderId, reason, suggestedSolution, additionalOptions = {}) {
+  const client = createProboClient();
+  
+  const payload = {
+    id: additionalOptions.ticketId || `ticket-${Date.now()}`, // Generate an ID if not provided (required)
+    order_id: orderId,
+    reason,
+    suggested_solution: suggestedSolution,
+    ...(additionalOptions.message ? { description: additionalOptions.message } : {}),
+    ...(additionalOptions.contactEmail ? { contact_email: additionalOptions.contactEmail } : {}),
+    ...(additionalOptions.supplierOrderNumber ? { supplier_order_number: additionalOptions.supplierOrderNumber } : {}),
+  };
+  
+  // Add the affected product lines, with attachments as product files
+  if (additionalOptions.products && additionalOptions.products.length > 0) {
+    payload.products = additionalOptions.products.map(product => ({
+      id: product.id,
+      amount: product.amount,
+      ...(product.attachments && product.attachments.length > 0
+        ? { files: product.attachments.map(uri => ({ uri })) }
+        : {}),
+    }));
+  }
+  
+  try {
+    log.info('Creating ticket', { operation: 'createTicket', order_id: orderId });
+    
+    const response = await client.post('/ticket', payload);
+    return response.data;
+  } catch (error) {
+    handleApiError(error, 'Failed to create ticket');
+  }
+}
+
+/**
+ * Get all support tickets
+ * @param {Object} [filters={}] - Optional pagination like page and per_page
+ * @returns {Promise<Object>} Tickets response
+ */
+export async function getTickets(filters = {}) {
+  const client = createProboClient();
+  
+  const queryParams = new URLSearchParams(filters);
+  const url = `/tickets?${queryParams.toString()}`;
+  
+  try {
+    log.info('Fetching tickets', { operation: 'getTickets', filters });
+    const response = await client.get(url);
+    return response.data;
+  } catch (error) {
+    handleApiError(error, 'Failed to get tickets');
+  }
+}
+
+/**
+ * Cancel an order with Probo
+ * @param {string} orderId - The order ID to cancel
+ * @returns {Promise<Object>} Cancellation response
+ */
+export async function cancelOrder(orderId) {
+  const client = createProboClient();
+  
+  // Use the correct simple payload format required by the API
+  const payload = {
+    id: orderId
+  };
+  
+  try {
+    log.info('Cancelling order', { operation: 'cancelOrder', order_id: orderId });
+    const response = await client.post('/order/cancel', payload);
+    return response.data;
+  } catch (error) {
+    handleApiError(error, 'Failed to cancel order');
+  }
+}
+
+/**
+ * Get the identifying field of an order product
+ * Probo products are identified by code, customer API products by customer_code.
+ * @param {Object} product - Product from the configuration
+ * @returns {Object} Object with either code or customer_code
+ */
+function getProductIdentifier(product) {
+  if (!product.code && product.customer_code) {
+    return { customer_code: product.customer_code };
+  }
+  
+  return { code: product.code };
+}
+
+/**
+ * Convert the saved options of a customer API product into configure options
+ * Options that are overridden by code are left out.
+ * @param {Array<Object>} savedOptions - Options from the customer product response
+ * @param {Array<Object>} overrides - Options passed in by the caller
+ * @returns {Array<Object>} Options in { code, value } format
+ */
+function formatSavedOptions(savedOptions, overrides) {
+  const overriddenCodes = new Set(overrides.map(option => option.code));
+  
+  return savedOptions
+    .filter(option => !overriddenCodes.has(option.code))
+    .map(option => (option.value !== null && option.value !== undefined
+      ? { code: option.code, value: option.value }
+      : { code: option.code }));
+}
+
+/**
+ * Build the shipping method and date fields of a delivery
+ * A delivery combines exactly one of shipping method code or preset with
+ * exactly one of delivery date, delivery date preset or shipping date.
+ * Missing choices default to the "cheapest" presets.
+ * @param {Object} options - Options like shippingMethodCode, shippingMethodPreset, deliveryDate, deliveryDatePreset, shippingDate
+ * @param {boolean} [allowShippingDate=true] - Whether a shipping date may be used
+ * @returns {Object} Delivery fields in API format
+ * @throws {Error} When the options form a combination the API does not accept
+ */
+function formatDeliveryOptions(options, allowShippingDate = true) {
+  const { shippingMethodCode, shippingMethodPreset, deliveryDate, deliveryDatePreset, shippingDate } = options;
+  
+  if (shippingMethodCode && shippingMethodPreset) {
+    throw new Error('Use either shippingMethodCode or shippingMethodPreset, not both');
+  }
+  
+  const dateChoices = [deliveryDate, deliveryDatePreset, shippingDate].filter(Boolean);
+  if (dateChoices.length > 1) {
+    throw new Error('Use only one of deliveryDate, deliveryDatePreset or shippingDate');
+  }
+  
+  if (shippingDate && !allowShippingDate) {
+    throw new Error('shippingDate is not supported here, use deliveryDate or deliveryDatePreset');
+  }
+  
+  [['deliveryDate', deliveryDate], ['shippingDate', shippingDate]].forEach(([name, date]) => {
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`${name} must be a date in YYYY-MM-DD format`);
+    }
+  });
+  
+  const deliveryFields = shippingMethodCode
+    ? { shipping_method_code: shippingMethodCode }
+    : { shipping_method_preset: shippingMethodPreset || "cheapest" };
+  
+  if (deliveryDate) {
+    deliveryFields.delivery_date = deliveryDate;
+  } else if (shippingDate) {
+    deliveryFields.shipping_date = shippingDate;
+  } else {
+    deliveryFields.delivery_date_preset = deliveryDatePreset || "cheapest";
+  }
+  
+  return deliveryFields;
+}
+
+/**
+ * Build the order payload for placeOrder and prepareOrder
+ * @param {Object} configuration - Complete product configuration
+ * @param {Object} address - Delivery address (may be null when additionalOptions.deliveries is set)
+ * @param {string} reference - Customer reference for the order
+ * @param {boolean} isTest - Whether this is a test order
+ * @param {Object} additionalOptions - Additional order options
+ * @param {string} errorMessage - Error message prefix for missing fields
+ * @returns {Object} The orderPayload, the defaultsApplied to it, warnings about the order and its idempotencyKey
+ * @throws {Error} When the defaults policy is strict and fields that would get a default are missing
+ */
+function buildOrder(configuration, address, reference, isTest, additionalOptions, errorMessage) {
+  // Transform products and deliveries to match API requirements
+  const formattedProducts = (configuration.products || []).map(product => formatOrderProduct(product));
+  const formattedDeliveries = formatOrderDeliveries(address, additionalOptions);
+  
+  // Products without artwork or options get placeholder artwork, if the defaults policy allows it.
+  // Products with options are ordered without artwork, which is reported as a warning.
+  const defaults = { policy: getDefaultsPolicy(isTest), applied: [], missing: [] };
+  const warnings = [];
+  formattedProducts.forEach((product, index) => {
+    const hasArtwork = product.files || product.uploader || product.uploaders;
+    if (hasArtwork) {
+      return;
+    }
+    
+    if (product.options) {
+      warnings.push(`products[${index}] has no files or uploader, it is ordered without artwork`);
+    } else if (useDefault(defaults, `products[${index}].files`, PLACEHOLDER_FILES, 'Add files or an uploader with the artwork')) {
+      product.files = PLACEHOLDER_FILES;
+    }
+  });
+  assertNoMissingFields(defaults, errorMessage);
+  
+  // Build order payload based on examples from documentation
+  // The contact email is left out when there is none, the API rejects an empty email
+  const contactEmail = formattedDeliveries[0].address.email || additionalOptions.contactEmail;
+  const orderPayload = {
+    order_type: isTest ? "test" : "production",
+    reference: reference,
+    id: additionalOptions.orderId || `order-${Date.now()}`, // Generate an ID if not provided (required)
+    ...(contactEmail ? { contact_email: contactEmail } : {}),
+    
+    // Group the order in a project if provided
+    ...(additionalOptions.projectId ? {
+      project: true,
+      project_id: additionalOptions.projectId
+    } : {}),
+    
+    // Add callback URLs if provided
+    ...(additionalOptions.callbackUrl ? { 
+      callback_urls: Array.isArray(additionalOptions.callbackUrl) 
+        ? additionalOptions.callbackUrl 
+        : [additionalOptions.callbackUrl] 
+    } : {}),
+    
+    // Add error email addresses if provided
+    ...(additionalOptions.errorEmails ? { 
+      error_email_addresses: Array.isArray(additionalOptions.errorEmails) 
+        ? additionalOptions.errorEmails 
+        : [additionalOptions.errorEmails] 
+    } : {}),
+    
+    // Add deliveries with formatted address and shipping options
+    deliveries: formattedDeliveries,
+    
+    // Add configured products with correct structure
+    products: formattedProducts
+  };
+  
+  return {
+    orderPayload,
+    defaultsApplied: defaults.applied,
+    warnings,
+    // A generated id differs per call, so it is left out to recognise retries
+    idempotencyKey: getIdempotencyKey(orderPayload, !additionalOptions.orderId, getAccount().name),
+  };
+}
+
+/**
+ * Post an order, unless an identical order was already placed
+ * The submission is recorded before the order is sent. When the same order was
+ * submitted within the idempotency window and Probo has it, that order is
+ * returned instead. When Probo does not have it, the earlier attempt did not
+ * arrive and the order is sent again with the same id.
+ * @param {Object} client - Probo API client
+ * @param {Object} orderPayload - Order in API format
+ * @param {string} idempotencyKey - Key from getIdempotencyKey
+ * @returns {Promise<Object>} Order response, or the existing order with status "duplicate"
+ */
+async function submitOrder(client, orderPayload, idempotencyKey) {
+  const previous = findSubmission(idempotencyKey);
+  let payload = orderPayload;
+  
+  if (previous) {
+    let existingOrder;
+    try {
+      const existing = await getAllOrders({ customer_order_id: previous.id });
+      existingOrder = (existing.orders || []).find(order => order.customer_order_id === previous.id);
+    } catch (error) {
+      throw new Error(`Could not check whether order ${previous.id} was already placed, so it is not placed again: ${error.message}`);
+    }
+    
+    if (existingOrder) {
+      log.info('Identical order was already placed, returning it', { operation: 'submitOrder', order_id: previous.id, submitted_at: previous.submitted_at });
+      return {
+        status: 'duplicate',
+        message: `An identical order was already placed at ${previous.submitted_at}. It was not placed again`,
+        order: { id: previous.id },
+        existing_order: existingOrder,
+      };
+    }
+    
+    payload = { ...orderPayload, id: previous.id };
+  }
+  
+  recordSubmission(idempotencyKey, payload);
+  
+  const response = await client.post('/order', payload);
+  return response.data;
+}
+
+/**
+ * Short overview of an order to confirm
+ * @param {Object} orderPayload - Order in API format
+ * @returns {Object} Order type, reference, products and deliveries
+ */
+function summarizeOrder(orderPayload) {
+  return {
+    id: orderPayload.id,
+    order_type: orderPayload.order_type,
+    reference: orderPayload.reference,
+    products: orderPayload.products.map(product => ({
+      code: product.code || product.customer_code,
+      options: (product.options || []).map(option => (option.value !== undefined ? `${option.code}: ${option.value}` : option.code)).join(', '),
+      artwork: product.files ? `${product.files.length} file(s)` : (product.uploader || product.uploaders ? 'uploader' : 'none'),
+    })),
+    deliveries: orderPayload.deliveries.map(delivery => {
+      const { address } = delivery;
+      return {
+        address: [address.company_name, `${address.first_name} ${address.last_name || ''}`.trim(), `${address.street} ${address.house_number || ''}`.trim(), `${address.postal_code} ${address.city}`, address.country]
+          .filter(Boolean)
+          .join(', '),
+        shipping: delivery.shipping_method_code || delivery.shipping_method_preset,
+        date: delivery.delivery_date || delivery.shipping_date || delivery.delivery_date_preset,
+      };
+    }),
+  };
+}
+
+/**
+ * Purchase price of a price option, including the deliveries
+ * @param {Object} priceOption - Price option from getOrderPrice
+ * @returns {number} Purchase price excluding VAT
+ * @throws {Error} When the option or one of its deliveries has no purchase price
+ */
+function getPurchasePrice(priceOption) {
+  const prices = [priceOption.total.purchase_price, ...(priceOption.deliveries || []).map(delivery => delivery.prices.purchase_price)];
+  
+  if (prices.some(price => typeof price !== 'number')) {
+    throw new Error('Cannot prepare order: Probo returned a price option without a purchase price, so the spending limits cannot be checked');
+  }
+  
+  return roundPrice(prices.reduce((sum, price) => sum + price, 0));
+}
+
+/**
+ * Configured spending limits and today's production spending
+ * @returns {Object} Limits, null when not set
+ */
+function getSpendingLimits() {
+  return {
+    max_order_price: MAX_ORDER_PRICE,
+    max_daily_spend: MAX_DAILY_SPEND,
+    spent_today: dailySpending.get(getAccountKey(new Date().toISOString().slice(0, 10))) || 0,
+  };
+}
+
+/**
+ * Throw when a production order would exceed a spending limit
+ * @param {number} price - Purchase price of the order
+ * @throws {Error} Error naming the limit that would be exceeded
+ */
+function assertWithinSpendingLimits(price) {
+  const { spent_today: spentToday } = getSpendingLimits();
+  
+  if (MAX_ORDER_PRICE !== null && price > MAX_ORDER_PRICE) {
+    throw new Error(`Order price ${price} exceeds the limit of ${MAX_ORDER_PRICE} per order (PROBO_MAX_ORDER_PRICE)`);
+  }
+  
+  if (MAX_DAILY_SPEND !== null && spentToday + price > MAX_DAILY_SPEND) {
+    throw new Error(`Order price ${price} would bring today's spending to ${roundPrice(spentToday + price)}, over the daily limit of ${MAX_DAILY_SPEND} (PROBO_MAX_DAILY_SPEND)`);
+  }
+}
+
+/**
+ * Add to the production spending of a day, or give an amount back with a negative amount
+ * @param {string} day - Key from getAccountKey for the day
+ * @param {number} amount - Purchase price
+ */
+function addSpending(day, amount) {
+  dailySpending.set(day, roundPrice((dailySpending.get(day) || 0) + amount));
+}
+
+/**
+ * Key for state that is kept per account, like spending
+ * @param {string} key - Key within the account
+ * @returns {string} Key prefixed with the name of the current account
+ */
+function getAccountKey(key) {
+  return `${getAccount().name}/${key}`;
+}
+
+function removeExpiredConfirmations() {
+  const now = Date.now();
+  
+  pendingConfirmations.forEach((pending, token) => {
+    if (now > pending.expiresAt) {
+      pendingConfirmations.delete(token);
+    }
+  });
+}
+
+/**
+ * Normalise a configuration product into an order product
+ * @param {Object} product - Product from the configuration
+ * @param {boolean} [allowFiles=true] - Whether files may be attached (drafts do not accept files)
+ * @returns {Object} Product with only the fields the API accepts
+ */
+function formatOrderProduct(product, allowFiles = true) {
+  // Create a new product object with only the allowed fields
+  const formattedProduct = {
+    // Use code as primary identifier, or customer_code for customer API products
+    ...getProductIdentifier(product),
+  };
+  
+  // Include id and reference if they exist, deliveries refer to products by id
+  if (product.id !== undefined) {
+    formattedProduct.id = product.id;
+  }
+  
+  if (product.reference) {
+    formattedProduct.reference = product.reference;
+  }
+  
+  // Include options if they exist
+  if (product.options && product.options.length > 0) {
+    formattedProduct.options = product.options;
+  }
+  
+  // Add files if they exist
+  if (allowFiles && product.files && product.files.length > 0) {
+    formattedProduct.files = product.files;
+  }
+  
+  // Add uploader if it exists
+  if (product.uploader) {
+    formattedProduct.uploader = product.uploader;
+  }
+  
+  // Add uploaders array if it exists
+  if (product.uploaders && product.uploaders.length > 0) {
+    formattedProduct.uploaders = product.uploaders;
+  }
+  
+  return formattedProduct;
+}
+
+/**
+ * Build the deliveries of an order or draft
+ * Uses additionalOptions.deliveries when set, otherwise a single delivery to
+ * address with the shipping options from additionalOptions.
+ * @param {Object} address - Delivery address (may be null when additionalOptions.deliveries is set)
+ * @param {Object} additionalOptions - Shipping options and optional deliveries
+ * @returns {Array<Object>} Deliveries in API format
+ * @throws {Error} When a delivery has no address or amounts per product
+ */
+function formatOrderDeliveries(address, additionalOptions) {
+  // Use the explicit deliveries, or a single delivery to the given address
+  const deliveries = additionalOptions.deliveries && additionalOptions.deliveries.length > 0
+    ? additionalOptions.deliveries
+    : [{ ...additionalOptions, address }];
+  
+  if (deliveries.some(delivery => !delivery.address)) {
+    throw new Error('Every delivery needs an address');
+  }
+  
+  assertNoDeliveryAmounts(deliveries);
+  
+  return deliveries.map(delivery => formatDelivery(delivery));
+}
+
+/**
+ * Throw when deliveries set amounts per product
+ * The deliveries in the spec only have an address and shipping choice, there is
+ * no field that assigns products or amounts to a delivery.
+ * @param {Array<Object>} deliveries - Deliveries as passed to the tools
+ * @throws {Error} When a delivery has products
+ */
+function assertNoDeliveryAmounts(deliveries) {
+  if (deliveries.some(delivery => delivery.products && delivery.products.length > 0)) {
+    throw new Error('Amounts per delivery are not supported by the Probo API, its deliveries cannot refer to products. Place a separate order for each address instead');
+  }
+}
+
+/**
+ * Format a delivery with its address and shipping options
+ * @param {Object} delivery - Delivery with address and shipping options
+ * @param {boolean} [allowShippingDate=true] - Whether a shipping date may be used
+ * @returns {Object} Delivery in API format
+ */
+function formatDelivery(delivery, allowShippingDate = true) {
+  return {
+    address: formatAddress(delivery.address),
+    ...formatDeliveryOptions(delivery, allowShippingDate),
+  };
+}
+
+/**
+ * Map an MCP address (address_* fields) to the address format used by the API
+ * @param {Object} address - Delivery address
+ * @returns {Object} Address in API format
+ */
+function formatAddress(address) {
+  // Optional fields are left out when empty. company_name is required by the API,
+  // so a private address sends it empty.
+  const optionalFields = {
+    addition: address.address_addition,
+    // address_telephone_number is the old name of address_phone
+    phone: address.address_phone || address.address_telephone_number,
+    email: address.address_email,
+  };
+  
+  return {
+    company_name: address.address_company_name || '',
+    first_name: address.address_first_name,
+    last_name: address.address_last_name,
+    street: address.address_street,
+    house_number: address.address_house_number,
+    postal_code: address.address_postal_code,
+    city: address.address_city,
+    country: address.address_country,
+    ...Object.fromEntries(Object.entries(optionalFields).filter(([, value]) => value)),
+  };
+}
+
+/**
+ * Read a translated field, falling back to the untranslated field and then any translation
+ * @param {Object} item - Product or option with optional translations
+ * @param {string} language - Preferred language code
+ * @param {string} field - Field name, e.g. title or name
+ * @returns {string|undefined} Translated value
+ */
+function getTranslation(item, language, field) {
+  const translations = item.translations || {};
+  const fallback = Object.values(translations).find(translation => translation?.[field]);
+  
+  return translations[language]?.[field] || item[field] || fallback?.[field];
+}
+
+/**
+ * Convert a node of the product option tree into a compact structure
+ * Parent options list their allowed values as children; input options
+ * (width, height, amount, ...) carry their limits and default value.
+ * @param {Object} option - Option from the product response
+ * @param {string} language - Preferred language code
+ * @returns {Object} Formatted option
+ */
+function formatProductOption(option, language) {
+  const formattedOption = {
+    code: option.code,
+    name: getTranslation(option, language, 'name'),
+    type_code: option.type_code,
+  };
+  
+  const description = getTranslation(option, language, 'description');
+  if (description) {
+    formattedOption.description = description;
+  }
+  
+  // Only include limits and defaults that are actually set
+  ['default_value', 'min_value', 'max_value', 'step_size', 'unit_code'].forEach(field => {
+    if (option[field] !== undefined && option[field] !== null) {
+      formattedOption[field] = option[field];
+    }
+  });
+  
+  if (option.children && option.children.length > 0) {
+    formattedOption.values = option.children.map(child => formatProductOption(child, language));
+  }
+  
+  return formattedOption;
+}
+
+/**
+ * Collect width/height/length limits from a formatted option tree
+ * @param {Array<Object>} options - Formatted options
+ * @param {Object} [dimensions={}] - Accumulator for recursion
+ * @returns {Object} Dimension limits keyed by type code
+ */
+function collectDimensions(options, dimensions = {}) {
+  options.forEach(option => {
+    if (['width', 'height', 'length'].includes(option.type_code)) {
+      dimensions[option.type_code] = {
+        code: option.code,
+        min_value: option.min_value,
+        max_value: option.max_value,
+        default_value: option.default_value,
+      };
+    }
+    
+    if (option.values) {
+      collectDimensions(option.values, dimensions);
+    }
+  });
+  
+  return dimensions;
+}
+
+/**
+ * Convert a tier object into quantity breakpoints with unit and total prices
+ * The tier sales price is the price per unit at that quantity.
+ * @param {Object} tierGroup - Tier object from the tiers response
+ * @returns {Object} Tier group with sorted breakpoints
+ */
+function formatTierGroup(tierGroup) {
+  const tiers = [...(tierGroup.tiers || [])].sort((a, b) => a.tier - b.tier);
+  const baseUnitPrice = tiers.length > 0 ? tiers[0].sales_price : null;
+  
+  return {
+    api_code: tierGroup.api_code,
+    article_group_code: tierGroup.article_group_code,
+    unit_code: tierGroup.unit_code,
+    tiers: tiers.map(tier => ({
+      amount: tier.tier,
+      unit_price: tier.sales_price,
+      total_price: roundPrice(tier.sales_price * tier.tier),
+      // Discount per unit compared to the smallest tier, in percent
+      discount: baseUnitPrice ? Math.round((1 - tier.sales_price / baseUnitPrice) * 1000) / 10 : 0,
+      rush_hours: (tier.rush_hours || []).map(rush => ({
+        hours: rush.hour,
+        unit_price: rush.sales_price,
+        total_price: roundPrice(rush.sales_price * tier.tier),
+      })),
+    })),
+  };
+}
+
+/**
+ * Round a price to cents
+ * @param {number} price - Price to round
+ * @returns {number} Rounded price
+ */
+function roundPrice(price) {
+  return Math.round(price * 100) / 100;
+}
+
+/**
+ * Convert a single /price option into per-product and total prices
+ * @param {Object} priceOption - One entry of the /price response prices array
+ * @returns {Object} Price option with excl. and incl. VAT amounts
+ */
+function formatPriceOption(priceOption) {
+  return {
+    delivery_date: priceOption.delivery_date,
+    shipping_date: priceOption.shipping_date,
+    production_hours: priceOption.production_hours,
+    products: (priceOption.products || []).map(product => ({
+      id: product.id,
+      per_product: product.prices_per_product?.prices || {},
+      total: product.prices_total?.prices || {},
+    })),
+    deliveries: (priceOption.deliveries || []).map(delivery => ({
+      shipping_method_code: delivery.shipping_method_api_code,
+      shipping_method_name: delivery.shipping_method_name,
+      transit_days: delivery.transit_days,
+      prices: delivery.prices?.prices || {},
+    })),
+    total: {
+      purchase_price: priceOption.products_purchase_price,
+      purchase_price_incl_vat: priceOption.products_purchase_price_incl_vat,
+      sales_price: priceOption.products_sales_price,
+      sales_price_incl_vat: priceOption.products_sales_price_incl_vat,
+    },
+  };
+}
+
+/**
+ * Submit an order placed on hold with placeOrder
+ * A test order is sent right away. A production order is prepared as with
+ * prepareOrder, and placed by confirmOrder with the returned token; the held
+ * order is kept until then.
+ * @param {string} orderId - ID of the held order
+ * @returns {Promise<Object>} Submit result with the order response and the resulting order status, or the prepared order with a confirmation token
+ * @throws {Error} When the account has no held order with the ID
+ */
+export async function submitHeldOrder(orderId) {
+  const account = getAccount().name;
+  const held = findHeldOrder(account, orderId);
+  
+  if (!held) {
+    throw new Error(`No held order with ID ${orderId} for account ${account}. Only orders placed with hold: true can be submitted, use releaseOrder to release a cancelled order ID`);
+  }
+  
+  if (held.order.order_type === 'production') {
+    const { configuration, address, reference, additionalOptions } = held.request;
+    const { hold, ...options } = additionalOptions;
+    
+    // The id is kept, also when it was generated when the order was held
+    const prepared = await prepareOrder(configuration, address, reference, false, { ...options, orderId });
+    pendingConfirmations.get(prepared.confirmation_token).heldOrderId = orderId;
+    
+    log.info('Prepared held order, waiting for confirmation', { operation: 'submitHeldOrder', order_id: orderId });
+    return {
+      ...prepared,
+      message: 'Check the summary and price, then call confirmOrder with the confirmation token to submit the held order',
+    };
+  }
+  
+  const client = createProboClient();
+  let result;
+  try {
+    log.info('Submitting held order', { operation: 'submitHeldOrder', order_id: orderId });
+    const order = await submitOrder(client, held.order, getIdempotencyKey(held.order, false, account));
+    removeHeldOrder(account, orderId);
+    
+    // An identical order that was already placed is returned as it is, like placeOrder does
+    result = order.status === 'duplicate'
+      ? { ...order, id: orderId }
+      : {
+        status: 'submitted',
+        message: 'Held order submitted',
+        id: orderId,
+        order,
+      };
+  } catch (error) {
+    handleApiError(error, 'Failed to submit held order');
+  }
+  
+  return withOrderStatus(result, orderId, 'submitHeldOrder');
+}
+
+/**
+ * Release a cancelled order with Probo, so its order ID can be used again
+ * @param {string} orderId - The order ID to release
+ * @returns {Promise<Object>} Release response including the resulting order status
+ */
+export async function releaseOrder(orderId) {
+  const client = createProboClient();
+  
+  let releaseResult;
+  try {
+    log.info('Releasing order', { operation: 'releaseOrder', order_id: orderId });
+    const response = await client.post('/order/release', { id: orderId });
+    releaseResult = response.data;
+  } catch (error) {
+    handleApiError(error, 'Failed to release order');
+  }
+  
+  return withOrderStatus(releaseResult, orderId, 'releaseOrder');
+}
+
+/**
+ * Add the status of an order to a result
+ * A failed lookup should not hide a successful request, it is reported in order_status.
+ * @param {Object} result - Result of the request
+ * @param {string} orderId - Order ID
+ * @param {string} operation - Name of the operation, for the log
+ * @returns {Promise<Object>} Result with order_status
+ */
+async function withOrderStatus(result, orderId, operation) {
+  try {
+    result.order_status = await getOrderStatus([orderId]);
+  } catch (error) {
+    log.warn('Failed to get order status', { operation, order_id: orderId, error: error.message });
+    result.order_status = { error: error.message };
+  }
+  
+  return result;
+}
+
+/**
+ * Defaults policy for a request
+ * @param {boolean} [isTest] - Whether the request is for a test order (default: based on the mode of the account)
+ * @returns {string} 'strict' or 'permissive'
+ */
+function getDefaultsPolicy(isTest = getAccount().mode === 'test') {
+  return DEFAULTS_POLICY || (isTest ? 'permissive' : 'strict');
+}
+
+/**
+ * Record a default for a missing field according to the defaults policy
+ * @param {Object} defaults - Policy with the applied defaults and missing fields so far
+ * @param {string} field - Path of the missing field
+ * @param {*} value - Default value
+ * @param {string} hint - What to provide instead, listed when the policy is strict
+ * @returns {boolean} Whether the default may be used
+ */
+function useDefault(defaults, field, value, hint) {
+  if (defaults.policy === 'strict') {
+    defaults.missing.push(`${field}: ${hint}`);
+    return false;
+  }
+  
+  defaults.applied.push({ field, value });
+  return true;
+}
+
+/**
+ * Throw when the strict defaults policy found missing fields
+ * @param {Object} defaults - Policy with the missing fields
+ * @param {string} message - Error message prefix
+ * @throws {Error} Error listing the missing fields
+ */
+function assertNoMissingFields(defaults, message) {
+  if (defaults.missing.length > 0) {
+    throw new Error(`${message}: Missing fields (no defaults are used with the strict defaults policy):\n- ${defaults.missing.join('\n- ')}`);
+  }
+}
+
+/**
+ * Add the applied defaults and warnings to a result, if there are any
+ * @param {Object} result - API result
+ * @param {Array<Object>} defaultsApplied - Applied defaults with field and value
+ * @param {Array<string>} [warnings=[]] - Things left out of the request that were not filled in
+ * @returns {Object} Result with defaults_applied and warnings
+ */
+function withDefaultsApplied(result, defaultsApplied, warnings = []) {
+  return {
+    ...result,
+    ...(defaultsApplied.length > 0 ? { defaults_applied: defaultsApplied } : {}),
+    ...(warnings.length > 0 ? { warnings } : {}),
+  };
+}
+
+/**
+ * Utility function to handle API errors
+ * @param {Error} error - The error from axios
+ * @param {string} message - Custom error message prefix
+ * @throws {Error} Enhanced error with API details
+ */
+function handleApiError(error, message) {
+  let errorMessage = message || 'API request failed';
+  let errorData = null;
+  
+  if (error.response) {
     // Server responded with an error status
     const status = error.response.status;
     const data = error.response.data;
@@ -402,27 +1801,16 @@ function handleApiError(error, message) {
       
       // Extract validation errors for a 400 response
       if (status === 400 && data.errors) {
-        errorMessage += '\nValidation errors:';
-        if (typeof data.errors === 'string') {
-          const uniqueErrors = [...new Set(data.errors.split('\n'))];
-          uniqueErrors.slice(0, 10).forEach(err => {
-            errorMessage += `\n- ${err}`;
-          });
-          
-          if (uniqueErrors.length > 10) {
-            errorMessage += `\n... and ${uniqueErrors.length - 10} more errors`;
-          }
-        } else if (Array.isArray(data.errors)) {
-          data.errors.slice(0, 10).forEach(err => {
-            errorMessage += `\n- ${err}`;
-          });
-          
-          if (data.errors.length > 10) {
-            errorMessage += `\n... and ${data.errors.length - 10} more errors`;
-          }
-        }
+        errorMessage += formatValidationErrors(data.errors);
       }
     }
+  } else if (error.validationErrors) {
+    // Rejected by the local spec validation before the request was sent
+    errorMessage += `: ${error.message}`;
+    errorMessage += formatValidationErrors(error.validationErrors);
+    errorData = { errors: error.validationErrors };
+  } else if (error.code === 'ECONNABORTED') {
+    errorMessage += `: No response received within ${error.config?.timeout || TIMEOUT_MS} ms`;
   } else if (error.request) {
     // Request was made but no response
     errorMessage += ': No response received';
@@ -438,11 +1826,53 @@ function handleApiError(error, message) {
   throw enhancedError;
 }
 
+/**
+ * Formats validation errors as a list, at most 10 lines
+ * @param {string|Array<string>} errors - Newline separated string or list of errors
+ * @returns {string} Error list to append to an error message
+ */
+function formatValidationErrors(errors) {
+  // Probo sends errors as a newline separated string that can contain duplicates
+  const errorList = typeof errors === 'string' ? [...new Set(errors.split('\n'))] : errors;
+  
+  if (!Array.isArray(errorList)) {
+    return '';
+  }
+  
+  let formatted = '\nValidation errors:';
+  errorList.slice(0, 10).forEach(err => {
+    formatted += `\n- ${err}`;
+  });
+  
+  if (errorList.length > 10) {
+    formatted += `\n... and ${errorList.length - 10} more errors`;
+  }
+  
+  return formatted;
+}
+
 export default {
   getProducts,
+  getProduct,
+  getProductTiers,
+  getCustomerProducts,
+  getCustomerProduct,
   configureProduct,
+  configureProducts,
+  createUploader,
   placeOrder,
+  prepareOrder,
+  confirmOrder,
+  createDraft,
+  getOrderPrice,
+  getShippingMethods,
   getOrderStatus,
   getAllOrders,
+  createProject,
+  getProjects,
+  createTicket,
+  getTickets,
   cancelOrder,
+  submitHeldOrder,
+  releaseOrder,
 }; 
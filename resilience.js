@@ -0,0 +1,197 @@
+/**
+ * resilience.js
+ * Retries, rate limiting and a circuit breaker for the requests to the Probo API
+ */
+
+// Requests that can be sent again without side effects. Other POST requests,
+// like placing an order, are never retried.
+const IDEMPOTENT_POSTS = ['/order/status', '/price'];
+
+// Responses that are worth retrying: rate limited, or Probo failing
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Exponential backoff is capped at this delay
+const MAX_BACKOFF_MS = 10 * 1000;
+
+// A Retry-After longer than this is not waited for, the error is returned instead
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+// Code of the error thrown while the circuit breaker is open
+export const PROBO_UNAVAILABLE = 'PROBO_UNAVAILABLE';
+
+/**
+ * Whether a request can be retried without side effects
+ * @param {Object} config - Axios request config
+ * @returns {boolean} True for GET requests and the read-only POST endpoints
+ */
+export function isIdempotentRequest(config) {
+  const method = (config.method || 'get').toLowerCase();
+  const path = (config.url || '').split('?')[0];
+  
+  return method === 'get' || method === 'head' || (method === 'post' && IDEMPOTENT_POSTS.includes(path));
+}
+
+/**
+ * Whether a failed request means Probo is unavailable, rather than that the request was wrong
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors, timeouts and 5xx responses
+ */
+export function isUnavailableError(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+/**
+ * Delay before the next attempt of a failed request
+ * Uses the Retry-After header when Probo sends one, and otherwise
+ * exponential backoff with full jitter.
+ * @param {Error} error - Axios error
+ * @param {number} attempt - Number of retries so far
+ * @param {Object} options - Retry settings
+ * @param {number} options.maxRetries - Most retries for one request
+ * @param {number} options.baseDelayMs - Delay before the first retry, doubled for every next one
+ * @returns {number|null} Delay in milliseconds, or null when the request must not be retried
+ */
+export function getRetryDelay(error, attempt, { maxRetries, baseDelayMs }) {
+  if (!error.config || error.code === PROBO_UNAVAILABLE || attempt >= maxRetries || !isIdempotentRequest(error.config)) {
+    return null;
+  }
+  
+  if (error.response && !RETRYABLE_STATUSES.includes(error.response.status)) {
+    return null;
+  }
+  
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return retryAfter <= MAX_RETRY_AFTER_MS ? retryAfter : null;
+  }
+  
+  return Math.round(Math.random() * Math.min(MAX_BACKOFF_MS, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Token bucket that spaces out requests
+ * Up to burst requests are sent at once, after that ratePerSecond.
+ * @param {number} ratePerSecond - Requests per second, 0 for no limit
+ * @param {number} [burst=ratePerSecond] - Size of the bucket
+ * @returns {Object} Limiter whose take() resolves when a request may be sent
+ */
+export function createRateLimiter(ratePerSecond, burst = ratePerSecond) {
+  if (!(ratePerSecond > 0)) {
+    return { take: async () => {} };
+  }
+  
+  const capacity = Math.max(1, burst);
+  let tokens = capacity;
+  let updatedAt = Date.now();
+  
+  // Waiting requests take their token in the order they arrived
+  let queue = Promise.resolve();
+  
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * ratePerSecond);
+    updatedAt = now;
+  };
+  
+  return {
+    take() {
+      const turn = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await sleep(((1 - tokens) / ratePerSecond) * 1000);
+          refill();
+        }
+        
+        tokens -= 1;
+      });
+      
+      queue = turn;
+      return turn;
+    },
+  };
+}
+
+/**
+ * Circuit breaker that stops sending requests while Probo is unavailable
+ * Opens after threshold failures in a row. After the cooldown one request is
+ * let through: if it succeeds the breaker closes, otherwise it opens again. When
+ * it fails before it is sent, releaseTrial() lets the next request try instead.
+ * @param {number} threshold - Failures in a row that open the breaker
+ * @param {number} cooldownMs - How long the breaker stays open
+ * @returns {Object} Breaker with assertClosed(), recordSuccess(), recordFailure() and releaseTrial()
+ */
+export function createCircuitBreaker(threshold, cooldownMs) {
+  let failures = 0;
+  let openedAt = null;
+  let trialPending = false;
+  
+  return {
+    assertClosed() {
+      if (openedAt === null) {
+        return;
+      }
+      
+      const retryAt = openedAt + cooldownMs;
+      if (Date.now() < retryAt || trialPending) {
+        const error = new Error(`Probo is unavailable, the last ${failures} requests failed. Requests are paused until ${new Date(retryAt).toISOString()}, try again later`);
+        error.code = PROBO_UNAVAILABLE;
+        throw error;
+      }
+      
+      trialPending = true;
+    },
+    
+    recordSuccess() {
+      failures = 0;
+      openedAt = null;
+      trialPending = false;
+    },
+    
+    recordFailure() {
+      failures += 1;
+      trialPending = false;
+      
+      if (failures >= threshold) {
+        openedAt = Date.now();
+      }
+    },
+    
+    releaseTrial() {
+      trialPending = false;
+    },
+  };
+}
+
+/**
+ * Retry-After header as a delay in milliseconds
+ * @param {string} [value] - Seconds, or an HTTP date
+ * @returns {number|null} Delay, or null without a valid header
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value) * 1000;
+  }
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for a number of milliseconds
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default {
+  isIdempotentRequest,
+  isUnavailableError,
+  getRetryDelay,
+  createRateLimiter,
+  createCircuitBreaker,
+  sleep,
+};
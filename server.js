@@ -5,47 +5,179 @@
 
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
 import { z } from 'zod';
+import './config.js';
 
 // Import Probo API client
 import {
   cancelOrder,
   configureProduct,
+  confirmOrder,
+  configureProducts,
+  createDraft,
+  createProject,
+  createTicket,
+  createUploader,
   getAllOrders,
+  getCustomerProduct,
+  getCustomerProducts,
+  getOrderPrice,
   getOrderStatus,
-  getProducts,
+  getProductTiers,
+  getProjects,
+  getShippingMethods,
+  getTickets,
   placeOrder,
+  prepareOrder,
+  releaseOrder,
+  submitHeldOrder,
 } from './proboClient.js';
+import { preflightArtwork } from './preflight.js';
+import { getCatalogueProduct, searchCatalogue, syncCatalogue } from './catalogue.js';
+import { answerConfiguration, startConfiguration } from './configurationSession.js';
+import { getAccount, getAccountName, listAccounts, withAccount } from './accounts.js';
+import { createLogger, withLogContext } from './logger.js';
+import { startHttpServer } from './httpServer.js';
+import { getOperationDescription } from './apiSpec.js';
+import { prefixedSpecSchema, specSchema } from './specSchemas.js';
 
-// Load environment variables
-dotenv.config();
-
-// Define validation schemas for common objects
-const AddressSchema = z.object({
-  address_company_name: z.string().optional(),
-  address_first_name: z.string(),
-  address_last_name: z.string(),
-  address_street: z.string(),
-  address_house_number: z.string(),
-  address_addition: z.string().optional(),
-  address_postal_code: z.string(),
-  address_city: z.string(),
-  address_country: z.string(),
-  address_telephone_number: z.string().optional(),
-  address_email: z.string().email().optional(),
-}).describe('Delivery address details');
-
-const ProductOptionSchema = z.object({
-  code: z.string().describe('Option code'),
-  value: z.union([z.string(), z.number(), z.boolean()]).describe('Option value'),
-}).describe('Product configuration option');
+const log = createLogger('server');
 
-// Create MCP server instance
-const server = new McpServer({
+// Validation schemas for common objects, generated from probo-api-spec.json.
+// Address fields get an address_ prefix; company_name may be left out for private
+// addresses, formatAddress then sends it empty.
+const AddressSchema = prefixedSpecSchema('#/definitions/Address', 'address_', { optional: ['company_name'] })
+  .extend({
+    address_telephone_number: z.string().optional().describe('Deprecated, use address_phone'),
+  })
+  .describe('Delivery address details');
+
+// Shipping method and date choice, shared by orders, drafts and deliveries
+const shippingOptionFields = {
+  shippingMethodCode: z.string().optional().describe('Shipping method code from listShippingMethods (instead of shippingMethodPreset)'),
+  shippingMethodPreset: z.string().optional().describe('Shipping method preset (default: "cheapest")'),
+  deliveryDate: z.string().optional().describe('Delivery date (YYYY-MM-DD), instead of deliveryDatePreset or shippingDate'),
+  deliveryDatePreset: z.string().optional().describe('Delivery date preset (default: "cheapest")'),
+  shippingDate: z.string().optional().describe('Shipping date (YYYY-MM-DD), instead of deliveryDate or deliveryDatePreset'),
+};
+
+// The API has no field that assigns products to a delivery. Other fields are passed
+// on, so products set per delivery are rejected by the client instead of dropped.
+const DeliverySchema = z.object({
+  address: AddressSchema,
+  ...shippingOptionFields,
+}).passthrough().describe('Delivery with its own address and shipping choice. Products cannot be assigned to a delivery, place a separate order for each address to split a print run');
+
+const ProductOptionSchema = specSchema('#/definitions/Code/properties/options/items')
+  .describe('Product configuration option');
+
+// Products as sent to the order and draft endpoints
+const OrderProductsSchema = specSchema('#/definitions/type/properties/products');
+const DraftProductsSchema = specSchema('#/definitions/type_11/properties/products');
+
+// Arguments shared by placeOrder and prepareOrder
+const OrderConfigurationSchema = z.object({
+  products: OrderProductsSchema,
+  language: z.string().optional(),
+}).describe('Complete product configuration');
+
+const OrderOptionsSchema = z.object({
+  orderId: z.string().optional().describe('Custom order ID'),
+  contactEmail: z.string().email().optional().describe('Contact email for the order'),
+  callbackUrl: z.union([z.string(), z.array(z.string())]).optional().describe('Callback URL(s) for order status updates'),
+  errorEmails: z.union([z.string().email(), z.array(z.string().email())]).optional().describe('Email address(es) to receive error notifications'),
+  ...shippingOptionFields,
+  deliveries: z.array(DeliverySchema).optional().describe('Multiple deliveries, each with its own address and shipping choice (replaces address and the shipping options above)'),
+  projectId: z.number().int().optional().describe('ID of the project to group this order in (see createProject)'),
+  hold: z.boolean().optional().describe('Place the order on hold; it is kept by this server and only sent to Probo once submitted with submitHeldOrder. Production orders can be held, they are confirmed with confirmOrder when submitted'),
+}).describe('Additional order options');
+
+const serverInfo = {
   name: process.env.MCP_SERVER_NAME || 'probo-mcp-server',
   version: process.env.MCP_SERVER_VERSION || '0.1.0',
-});
+};
+
+// Transports: stdio (default) or http, set with --transport
+const TRANSPORTS = ['stdio', 'http'];
+
+// Every tool takes the account to use for the call
+const AccountArgumentSchema = z.string().optional()
+  .describe('Probo account to use for this call (see listAccounts), instead of the account selected for the session');
+
+// Create MCP server instance
+const server = new McpServer(serverInfo);
+
+// Tool registrations, repeated on the server of every HTTP session
+const toolRegistrations = [];
+
+// State of the client session of this server, each HTTP session has its own.
+// Sessions of remote clients cannot reach the files of this host.
+const serverSession = { account: null, remote: false };
+
+server.tool = (...registration) => {
+  toolRegistrations.push(registration);
+  return addTool(server, serverSession, registration);
+};
+
+/**
+ * Register a tool on a server
+ * Every tool call runs in its own log context, so the API requests it makes
+ * are logged with the tool name and the same correlation id. It uses the
+ * account from its account argument, or else the one selected for the session.
+ * @param {McpServer} target - Server to add the tool to
+ * @param {Object} session - State of the client session, passed to the handler as extra.session
+ * @param {Array} registration - Name, description, arguments and handler of the tool
+ */
+function addTool(target, session, [name, description, shape, handler]) {
+  const toolShape = 'account' in shape ? shape : { ...shape, account: AccountArgumentSchema };
+  
+  McpServer.prototype.tool.call(target, name, description, toolShape, (args, extra) => {
+    const account = args.account || session.account;
+    
+    return withLogContext({ tool: name, mcp_request_id: extra?.requestId, account }, () => withAccount(account, async () => {
+      const startedAt = Date.now();
+      log.debug('Tool call', { arguments: args });
+      
+      const result = await handler(args, { ...extra, session });
+      log.info('Tool call finished', { duration_ms: Date.now() - startedAt, is_error: Boolean(result.isError) });
+      
+      return result;
+    }));
+  });
+}
+
+/**
+ * Create another server with the same tools
+ * An MCP server serves one client, the HTTP transport creates one per session.
+ * @returns {McpServer} New MCP server instance
+ */
+export function createServer() {
+  const sessionServer = new McpServer(serverInfo);
+  const session = { account: null, remote: true };
+  toolRegistrations.forEach(registration => addTool(sessionServer, session, registration));
+  
+  return sessionServer;
+}
+
+/**
+ * Transport chosen on the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {string} stdio or http
+ */
+export function getTransportOption(args) {
+  const index = args.findIndex(arg => arg === '--transport' || arg.startsWith('--transport='));
+  if (index === -1) {
+    return 'stdio';
+  }
+  
+  const transport = args[index].includes('=') ? args[index].split('=')[1] : args[index + 1];
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`--transport must be one of: ${TRANSPORTS.join(', ')}`);
+  }
+  
+  return transport;
+}
 
 // Helper function to format results in a consistent way
 function formatResult(message, data, isError = false) {
@@ -58,7 +190,7 @@ function formatResult(message, data, isError = false) {
       details: data.error.data
     };
   }
-
+  
   return {
     content: [
       {
@@ -74,6 +206,32 @@ function formatResult(message, data, isError = false) {
   };
 }
 
+/**
+ * Note listing the defaults that were filled in and any warnings, to append to a tool message
+ * @param {Object} result - Result with optional defaults_applied and warnings lists
+ * @returns {string} Note, empty when no defaults were applied and there are no warnings
+ */
+function formatDefaultsNote(result) {
+  const fields = (result.defaults_applied || []).map(applied => applied.field);
+  const warnings = result.warnings || [];
+  
+  return `${fields.length > 0 ? `. Defaults applied to: ${fields.join(', ')}` : ''}${warnings.length > 0 ? `. Warning: ${warnings.join('; ')}` : ''}`;
+}
+
+/**
+ * Summary line for a guided configuration step
+ * @param {Object} result - Result of startConfiguration or answerConfiguration
+ * @returns {string} Message for the tool result
+ */
+function formatConfigurationMessage(result) {
+  if (result.status === 'complete') {
+    return `Configuration of ${result.product_code} complete, pass the configuration to placeOrder`;
+  }
+  
+  const option = result.next_option;
+  return `Next option for ${result.product_code}: ${option.name}${option.code ? ` (${option.code})` : ''}`;
+}
+
 // Add MCP tools
 
 /**
@@ -82,23 +240,172 @@ function formatResult(message, data, isError = false) {
  */
 server.tool(
   'searchProducts',
+  getOperationDescription('GET', '/products'),
   {
     query: z.string().optional().describe('Search query to filter products'),
-    language: z.string().length(2).optional().describe('Language code (e.g., "en", "nl")'),
+    language: z.string().length(2).optional().describe('Language code (e.g., "en", "nl") of the titles to search, all languages when omitted'),
     page: z.number().optional().describe('Page number for pagination'),
     per_page: z.number().optional().describe('Items per page (max 50)'),
   },
   async ({ query, language, page, per_page }) => {
     try {
-      // Pass pagination options to getProducts
+      // Pass pagination and language options to the catalogue search
       const options = {
         page: page || 1,
-        per_page: per_page || 20
+        per_page: per_page || 20,
+        language,
       };
       
-      const result = await getProducts(query, options);
+      const result = await searchCatalogue(query, options);
+      const refreshError = result.catalogue?.refresh_error;
+      return formatResult(
+        `Found ${result.products?.length || 0} products${refreshError ? ` in the catalogue of ${result.catalogue.synced_at}, it could not be refreshed: ${refreshError}` : ''}`, 
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * Get Product Tool
+ * Retrieves a single product with its full option tree
+ */
+server.tool(
+  'getProduct',
+  getOperationDescription('GET', '/products/product/{code}'),
+  {
+    productCode: z.string().describe('Product code to retrieve'),
+    language: z.string().length(2).optional().describe('Language code (e.g., "en", "nl")'),
+    uploaderApplications: z.array(z.string()).optional().describe('Uploader applications to include'),
+  },
+  async ({ productCode, language, uploaderApplications }) => {
+    try {
+      const result = await getCatalogueProduct(productCode, language || 'en', uploaderApplications || []);
+      return formatResult(
+        `Product ${result.code} has ${result.options?.length || 0} top-level options`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * Sync Catalogue Tool
+ * Updates the local product catalogue that searchProducts and getProduct use
+ */
+server.tool(
+  'syncCatalogue',
+  'Sync the local product catalogue that searchProducts and getProduct read from. The catalogue is refreshed on its own when it is older than its TTL; use this after products changed in Probo. By default only the products updated since the last sync are fetched, set full to fetch all products and drop the ones that were removed.',
+  {
+    full: z.boolean().optional().describe('Fetch the whole catalogue instead of only the updated products'),
+  },
+  async ({ full }) => {
+    try {
+      const result = await syncCatalogue({ full: full || false });
+      return formatResult(
+        `${result.mode === 'full' ? 'Full' : 'Incremental'} sync fetched ${result.fetched} products, the catalogue has ${result.products} products`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * Get Product Tiers Tool
+ * Retrieves volume pricing tiers for a product
+ */
+server.tool(
+  'getProductTiers',
+  getOperationDescription('GET', '/products/product/{code}/tiers'),
+  {
+    productCode: z.string().describe('Product code to get volume pricing tiers for'),
+  },
+  async ({ productCode }) => {
+    try {
+      const result = await getProductTiers(productCode);
+      const tierCount = result.products.reduce((count, product) => count + product.tiers.length, 0);
+      return formatResult(
+        `Retrieved ${tierCount} pricing tiers for product ${productCode}`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * List Customer Products Tool
+ * Lists the customer API products saved in the reseller's account
+ */
+server.tool(
+  'listCustomerProducts',
+  getOperationDescription('GET', '/apiproducts'),
+  {
+    language: z.string().length(2).optional().describe('Language code (e.g., "en", "nl")'),
+    page: z.number().optional().describe('Page number for pagination'),
+    per_page: z.number().optional().describe('Items per page'),
+  },
+  async ({ language, page, per_page }) => {
+    try {
+      const result = await getCustomerProducts({ language, page, per_page });
+      return formatResult(
+        `Found ${result.products?.length || 0} customer products`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * Get Customer Product Tool
+ * Retrieves a single customer API product with its saved options
+ */
+server.tool(
+  'getCustomerProduct',
+  getOperationDescription('GET', '/apiproducts/product/{customer_code}'),
+  {
+    customerCode: z.string().describe('Customer code of the API product'),
+    language: z.string().length(2).optional().describe('Language code (e.g., "en", "nl")'),
+  },
+  async ({ customerCode, language }) => {
+    try {
+      const result = await getCustomerProduct(customerCode, language);
       return formatResult(
-        `Found ${result.products?.length || 0} products`, 
+        `Customer product ${customerCode} is based on Probo product ${result.code || 'unknown'}`,
         result
       );
     } catch (error) {
@@ -118,17 +425,173 @@ server.tool(
  */
 server.tool(
   'configureProduct',
+  getOperationDescription('POST', '/products/configure'),
   {
-    productCode: z.string().describe('Product code to configure'),
-    options: z.array(ProductOptionSchema).optional().describe('Product options'),
+    productCode: z.string().optional().describe('Probo product code to configure'),
+    customerCode: z.string().optional().describe('Customer API product code to configure instead of a Probo product code'),
+    options: z.array(ProductOptionSchema).optional().describe('Product options (for customer products these override the saved options)'),
+    products: z.array(z.object({
+      id: z.number().optional().describe('Product id to tell products apart in the result'),
+      productCode: z.string().optional().describe('Probo product code'),
+      customerCode: z.string().optional().describe('Customer API product code'),
+      options: z.array(ProductOptionSchema).optional().describe('Product options'),
+    })).optional().describe('Configure several products in one request (instead of productCode/customerCode/options)'),
     address: AddressSchema.optional().describe('Delivery address'),
     language: z.string().length(2).optional().describe('Language code (e.g., "en", "nl")'),
   },
-  async ({ productCode, options, address, language }) => {
+  async ({ productCode, customerCode, options, products, address, language }) => {
+    try {
+      if (products && products.length > 0) {
+        if (products.some(product => !product.productCode && !product.customerCode)) {
+          throw new Error('Every product needs a productCode or customerCode');
+        }
+        
+        const result = await configureProducts(products.map(product => ({
+          id: product.id,
+          code: product.productCode,
+          customer_code: product.customerCode,
+          options: product.options || [],
+        })), address, language);
+        return formatResult(
+          `${products.length} products configured successfully${formatDefaultsNote(result)}`,
+          result
+        );
+      }
+      
+      if (!productCode && !customerCode) {
+        throw new Error('Either productCode, customerCode or products is required');
+      }
+      
+      const result = await configureProduct(productCode, options || [], address, language, customerCode);
+      return formatResult(
+        `Product ${customerCode || productCode} configured successfully${formatDefaultsNote(result)}`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * Start Configuration Tool
+ * Starts a guided configuration that asks for one product option at a time
+ */
+server.tool(
+  'startConfiguration',
+  'Start a guided product configuration. Returns the next option to answer with its allowed values, pass the answer to answerConfiguration until the configuration is complete and priced',
+  {
+    productCode: z.string().describe('Probo product code to configure'),
+    options: z.array(ProductOptionSchema).optional().describe('Options that are already known, e.g. width and height'),
+    language: z.string().length(2).optional().describe('Language code (e.g., "en", "nl")'),
+  },
+  async ({ productCode, options, language }) => {
+    try {
+      const result = await startConfiguration(productCode, { options, language });
+      return formatResult(formatConfigurationMessage(result), result);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * Answer Configuration Tool
+ * Answers the current option of a guided configuration
+ */
+server.tool(
+  'answerConfiguration',
+  'Answer the current option of a guided product configuration. Returns the next option, or the complete configuration with prices that can be passed to placeOrder',
+  {
+    sessionId: z.string().describe('session_id from startConfiguration'),
+    code: z.string().optional().describe('Code of the chosen value (for choice options)'),
+    value: z.union([z.string(), z.number()]).optional().describe('Value to enter (for value options like width, height and amount)'),
+  },
+  async ({ sessionId, code, value }) => {
+    try {
+      const result = await answerConfiguration(sessionId, { code, value });
+      return formatResult(formatConfigurationMessage(result), result);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * Create Uploader Tool
+ * Creates file uploader sessions for configured products
+ */
+server.tool(
+  'createUploader',
+  getOperationDescription('POST', '/products/uploader/create'),
+  {
+    calculationId: z.number().int().describe('calculation_id from the configureProduct result'),
+    callbackUrl: z.string().url().describe('URL that is called when the uploads are finished'),
+    language: z.string().length(2).optional().describe('Language code of the uploader (e.g., "en", "nl")'),
+  },
+  async ({ calculationId, callbackUrl, language }) => {
+    try {
+      const result = await createUploader(calculationId, callbackUrl, language);
+      return formatResult(
+        `Created ${result.uploaders?.length || 0} uploaders. Share each URL to upload artwork and reference the uploader in the placeOrder products`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * Preflight Artwork Tool
+ * Checks an artwork file against the product configuration before ordering
+ */
+server.tool(
+  'preflightArtwork',
+  'Check artwork resolution, size, bleed and color space against the product dimensions before ordering',
+  {
+    uri: z.string().describe('Local file path, file:// URL or locally served http(s) URL of the artwork. Over the HTTP transport only files in PROBO_ARTWORK_DIR can be checked'),
+    width: z.number().optional().describe('Configured width in mm (taken from options when omitted)'),
+    height: z.number().optional().describe('Configured height in mm (taken from options when omitted)'),
+    options: z.array(ProductOptionSchema).optional().describe('Product options as passed to configureProduct/placeOrder'),
+    bleed: z.number().optional().describe('Required bleed per side in mm'),
+    minDpi: z.number().optional().describe('Minimum effective resolution in DPI (default: 150)'),
+  },
+  async ({ uri, width, height, options, bleed, minDpi }, { session }) => {
     try {
-      const result = await configureProduct(productCode, options || [], address, language);
+      // Fall back to the width/height options of the product configuration
+      const optionValue = codes => Number((options || []).find(option => codes.includes(option.code))?.value) || undefined;
+      
+      const result = await preflightArtwork(uri, {
+        width: width ?? optionValue(['width', 'width_mm']),
+        height: height ?? optionValue(['height', 'height_mm']),
+        bleed,
+        minDpi,
+      }, { remote: session.remote });
       return formatResult(
-        `Product ${productCode} configured successfully`,
+        result.ok
+          ? `Artwork passed preflight with ${result.issues.length} warnings`
+          : `Artwork failed preflight: ${result.issues.filter(issue => issue.severity === 'error').map(issue => issue.message).join('; ')}`,
         result
       );
     } catch (error) {
@@ -148,32 +611,35 @@ server.tool(
  */
 server.tool(
   'placeOrder',
+  getOperationDescription('POST', '/order'),
   {
-    configuration: z.object({
-      products: z.array(z.any()),
-      language: z.string().optional(),
-    }).describe('Complete product configuration'),
-    address: AddressSchema.describe('Delivery address'),
+    configuration: OrderConfigurationSchema,
+    address: AddressSchema.optional().describe('Delivery address (required unless additionalOptions.deliveries is set)'),
     reference: z.string().describe('Customer reference for the order'),
-    isTest: z.boolean().optional().describe('Whether this is a test order (default: based on env)'),
-    additionalOptions: z.object({
-      orderId: z.string().optional().describe('Custom order ID'),
-      contactEmail: z.string().email().optional().describe('Contact email for the order'),
-      callbackUrl: z.union([z.string(), z.array(z.string())]).optional().describe('Callback URL(s) for order status updates'),
-      errorEmails: z.union([z.string().email(), z.array(z.string().email())]).optional().describe('Email address(es) to receive error notifications'),
-      shippingMethodPreset: z.string().optional().describe('Shipping method preset (default: "cheapest")'),
-      deliveryDatePreset: z.string().optional().describe('Delivery date preset (default: "cheapest")'),
-    }).optional().describe('Additional order options')
+    isTest: z.boolean().optional().describe('Whether this is a test order (default: based on the mode of the account). Production orders are placed with prepareOrder and confirmOrder, or held with hold: true'),
+    additionalOptions: OrderOptionsSchema.optional(),
   },
   async ({ configuration, address, reference, isTest, additionalOptions }) => {
     try {
       const result = await placeOrder(configuration, address, reference, isTest, additionalOptions || {});
+      if (result.status === 'on_hold') {
+        return formatResult(
+          `Order placed on hold: ${result.id}. Use submitHeldOrder to submit it${formatDefaultsNote(result)}`,
+          result
+        );
+      }
+      if (result.status === 'duplicate') {
+        return formatResult(
+          `Order ${result.order.id} was already placed by an identical request, it was not placed again`,
+          result
+        );
+      }
       return formatResult(
-        `Order placed successfully: ${result.order?.id || 'ID not available'}`,
+        `Order placed successfully: ${result.order?.id || 'ID not available'}${formatDefaultsNote(result)}`,
         result
       );
     } catch (error) {
-      console.error('[placeOrder] Error details:', error);
+      log.error('Failed to place order', { error });
       return formatResult(
         `Error: ${error.message}`,
         { error },
@@ -183,12 +649,182 @@ server.tool(
   }
 );
 
+/**
+ * Prepare Order Tool
+ * Prices an order and returns a confirmation token, without placing it
+ */
+server.tool(
+  'prepareOrder',
+  'Check and price an order without placing it. Returns a summary, the price and a short-lived confirmation token; the order is only placed when confirmOrder is called with the token. Production orders must be placed this way',
+  {
+    configuration: OrderConfigurationSchema,
+    address: AddressSchema.optional().describe('Delivery address (required unless additionalOptions.deliveries is set)'),
+    reference: z.string().describe('Customer reference for the order'),
+    isTest: z.boolean().optional().describe('Whether this is a test order (default: based on the mode of the account)'),
+    additionalOptions: OrderOptionsSchema.omit({ hold: true }).optional(),
+  },
+  async ({ configuration, address, reference, isTest, additionalOptions }) => {
+    try {
+      const result = await prepareOrder(configuration, address, reference, isTest, additionalOptions || {});
+      return formatResult(
+        `${result.summary.order_type === 'production' ? 'Production' : 'Test'} order ${result.summary.id} prepared for ${result.price.purchase_price} excl. VAT. Confirm with confirmOrder before ${result.expires_at}${formatDefaultsNote(result)}`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * Confirm Order Tool
+ * Places an order prepared with prepareOrder
+ */
+server.tool(
+  'confirmOrder',
+  'Place an order prepared with prepareOrder. Only call this after the summary and price were accepted',
+  {
+    confirmationToken: z.string().describe('confirmation_token from prepareOrder'),
+  },
+  async ({ confirmationToken }) => {
+    try {
+      const result = await confirmOrder(confirmationToken);
+      if (result.status === 'duplicate') {
+        return formatResult(
+          `Order ${result.order.id} was already placed by an identical request, it was not placed again`,
+          result
+        );
+      }
+      return formatResult(
+        `Order placed successfully: ${result.order?.id || 'ID not available'}${formatDefaultsNote(result)}`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * Create Draft Tool
+ * Creates an order draft to be finished in the Probo webshop
+ */
+server.tool(
+  'createDraft',
+  getOperationDescription('POST', '/drafts'),
+  {
+    configuration: z.object({
+      products: DraftProductsSchema,
+      language: z.string().optional(),
+    }).describe('Complete product configuration (files are not accepted for drafts)'),
+    address: AddressSchema.optional().describe('Delivery address (required unless additionalOptions.deliveries is set)'),
+    reference: z.string().describe('Customer reference for the draft'),
+    additionalOptions: z.object({
+      draftId: z.string().optional().describe('Custom draft ID'),
+      contactEmail: z.string().email().optional().describe('Contact email for the draft'),
+      ...shippingOptionFields,
+      deliveries: z.array(DeliverySchema).optional().describe('Multiple deliveries, each with its own address and shipping choice (replaces address and the shipping options above)'),
+    }).optional().describe('Additional draft options')
+  },
+  async ({ configuration, address, reference, additionalOptions }) => {
+    try {
+      const result = await createDraft(configuration, address, reference, additionalOptions || {});
+      return formatResult(
+        `Draft created: ${result.id || 'ID not available'}. It can be finished and ordered in the Probo webshop`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * Get Order Price Tool
+ * Quotes the price of an order without placing it
+ */
+server.tool(
+  'getOrderPrice',
+  getOperationDescription('POST', '/price'),
+  {
+    configuration: z.object({
+      // Same products as placeOrder, files and uploaders are left out of the price request
+      products: OrderProductsSchema,
+      language: z.string().optional(),
+    }).describe('Complete product configuration'),
+    address: AddressSchema.optional().describe('Delivery address (include it to quote delivery costs)'),
+    // The price endpoint has no shipping date variant
+    additionalOptions: z.object(shippingOptionFields).omit({ shippingDate: true }).optional().describe('Additional price options')
+  },
+  async ({ configuration, address, additionalOptions }) => {
+    try {
+      const result = await getOrderPrice(configuration, address, additionalOptions || {});
+      return formatResult(
+        `Retrieved ${result.prices?.length || 0} price options`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * List Shipping Methods Tool
+ * Lists the shipping methods that can be used for deliveries
+ */
+server.tool(
+  'listShippingMethods',
+  getOperationDescription('GET', '/shipping/methods'),
+  {
+    language: z.string().length(2).optional().describe('Language code (e.g., "en", "nl")'),
+    type: z.string().optional().describe('Type of shipping method to filter on (e.g., "shipment")'),
+  },
+  async ({ language, type }) => {
+    try {
+      const result = await getShippingMethods({ language, type });
+      return formatResult(
+        `Found ${result.shipping_methods.length} shipping methods`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
 /**
  * Get Order Status Tool
  * Gets status for specific orders
  */
 server.tool(
   'getOrderStatus',
+  getOperationDescription('POST', '/order/status'),
   {
     orderIds: z.array(z.string()).describe('Array of order IDs to check'),
   },
@@ -216,6 +852,7 @@ server.tool(
  */
 server.tool(
   'getAllOrders',
+  getOperationDescription('GET', '/orders'),
   {
     filters: z.object({
       page: z.number().optional(),
@@ -244,12 +881,150 @@ server.tool(
   }
 );
 
+/**
+ * Create Project Tool
+ * Creates a project to group orders
+ */
+server.tool(
+  'createProject',
+  getOperationDescription('POST', '/project'),
+  {
+    name: z.string().max(50).describe('Project name'),
+    number: z.string().max(50).optional().describe('Optional project number'),
+    note: z.string().max(1000).optional().describe('Optional note for the project'),
+  },
+  async ({ name, number, note }) => {
+    try {
+      const result = await createProject(name, { number, note });
+      return formatResult(
+        `Project ${name} created: ${result.id ?? 'ID not available'}`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * List Projects Tool
+ * Gets all projects with pagination
+ */
+server.tool(
+  'listProjects',
+  getOperationDescription('GET', '/projects'),
+  {
+    filters: z.object({
+      page: z.number().optional(),
+      per_page: z.number().optional(),
+    }).optional().describe('Pagination for the projects query'),
+  },
+  async ({ filters }) => {
+    try {
+      const result = await getProjects(filters || {});
+      return formatResult(
+        `Retrieved ${result.projects?.length || 0} projects`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * Create Ticket Tool
+ * Creates a support ticket for an order, e.g. a complaint or reprint request
+ */
+server.tool(
+  'createTicket',
+  getOperationDescription('POST', '/ticket'),
+  {
+    orderId: z.string().describe('Order ID the ticket is about'),
+    reason: z.string().describe('Reason for the ticket (e.g., "damaged", "print quality")'),
+    message: z.string().optional().describe('Description of the problem'),
+    suggestedSolution: z.string().describe('Suggested solution (e.g., "reprint", "refund")'),
+    products: z.array(z.object({
+      id: z.union([z.string(), z.number()]).describe('Product ID within the order'),
+      amount: z.union([z.string(), z.number()]).describe('Amount of this product affected'),
+      attachments: z.array(z.string()).optional().describe('URLs of photos or files showing the problem'),
+    })).optional().describe('Affected product lines'),
+    contactEmail: z.string().email().optional().describe('Contact email for the ticket'),
+    supplierOrderNumber: z.number().int().optional().describe('Probo order number, if known'),
+    ticketId: z.string().optional().describe('Custom ticket ID'),
+  },
+  async ({ orderId, reason, message, suggestedSolution, products, contactEmail, supplierOrderNumber, ticketId }) => {
+    try {
+      const result = await createTicket(orderId, reason, suggestedSolution, {
+        message,
+        products,
+        contactEmail,
+        supplierOrderNumber,
+        ticketId,
+      });
+      return formatResult(
+        `Ticket created for order ${orderId}: ${result.id ?? 'ID not available'}`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * List Tickets Tool
+ * Gets all support tickets with pagination
+ */
+server.tool(
+  'listTickets',
+  getOperationDescription('GET', '/tickets'),
+  {
+    filters: z.object({
+      page: z.number().optional(),
+      per_page: z.number().optional(),
+    }).optional().describe('Pagination for the tickets query'),
+  },
+  async ({ filters }) => {
+    try {
+      const result = await getTickets(filters || {});
+      return formatResult(
+        `Retrieved ${result.tickets?.length || 0} tickets`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
 /**
  * Cancel Order Tool
  * Cancels a specific order
  */
 server.tool(
   'cancelOrder',
+  getOperationDescription('POST', '/order/cancel'),
   {
     orderId: z.string().describe('Order ID to cancel'),
   },
@@ -271,11 +1046,155 @@ server.tool(
   }
 );
 
-// Start the MCP server
-const transport = new StdioServerTransport();
-server.connect(transport).catch((error) => {
-  console.error('[MCP Error]', error);
-  process.exit(1);
-});
+/**
+ * Submit Held Order Tool
+ * Submits an order placed on hold with placeOrder
+ */
+server.tool(
+  'submitHeldOrder',
+  'Submit an order that was placed on hold with placeOrder (hold: true). Held orders are kept by this server, Probo only receives the order when it is submitted. Returns the order response and the resulting order status. A production order is prepared instead: place it with confirmOrder and the returned confirmation token.',
+  {
+    orderId: z.string().describe('ID of the held order'),
+  },
+  async ({ orderId }) => {
+    try {
+      const result = await submitHeldOrder(orderId);
+      if (result.status === 'awaiting_confirmation') {
+        return formatResult(
+          `Held production order ${orderId} prepared for ${result.price.purchase_price} excl. VAT. Confirm with confirmOrder before ${result.expires_at}${formatDefaultsNote(result)}`,
+          result
+        );
+      }
+      if (result.status === 'duplicate') {
+        return formatResult(
+          `Held order ${orderId} was already placed by an identical request, it was not placed again`,
+          result
+        );
+      }
+      
+      const statusCode = result.order_status?.orders?.[0]?.status_code;
+      return formatResult(
+        `Held order ${orderId} submitted${statusCode ? ` (order status: ${statusCode})` : ''}`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * Release Order Tool
+ * Releases a cancelled order ID so it can be used again
+ */
+server.tool(
+  'releaseOrder',
+  getOperationDescription('POST', '/order/release'),
+  {
+    orderId: z.string().describe('ID of the cancelled order to release'),
+  },
+  async ({ orderId }) => {
+    try {
+      const result = await releaseOrder(orderId);
+      const statusCode = result.order_status?.orders?.[0]?.status_code;
+      return formatResult(
+        `Order ${orderId} release result: ${result.status}${statusCode ? ` (order status: ${statusCode})` : ''}`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * List Accounts Tool
+ * Lists the Probo accounts and reports accounts that are not configured correctly
+ */
+server.tool(
+  'listAccounts',
+  'List the Probo accounts this server can use, with their API URL and mode (test or production). Accounts that are not configured correctly are listed with their errors. Select an account with selectAccount, or pass account to a single tool call.',
+  {},
+  async (args, { session }) => {
+    try {
+      const accounts = listAccounts();
+      const misconfigured = accounts.filter(account => !account.configured);
+      const result = {
+        accounts,
+        selected: session.account || getAccountName(),
+      };
+      
+      return formatResult(
+        `Found ${accounts.length} Probo accounts, using ${result.selected}${misconfigured.length > 0 ? `. Not configured correctly: ${misconfigured.map(account => account.name).join(', ')}` : ''}`,
+        result
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+/**
+ * Select Account Tool
+ * Selects the Probo account for the rest of the session
+ */
+server.tool(
+  'selectAccount',
+  'Select the Probo account to use for the rest of this session. Tool calls can still use another account with their account argument.',
+  {
+    account: z.string().describe('Name of the account, from listAccounts'),
+  },
+  async ({ account }, { session }) => {
+    try {
+      const { name, mode } = getAccount(account);
+      session.account = name;
+      
+      return formatResult(
+        `Selected Probo account ${name} (${mode} mode) for this session`,
+        { account: name, mode }
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      return formatResult(
+        `Error: ${errorMessage}`,
+        { error: errorMessage },
+        true
+      );
+    }
+  }
+);
+
+// Start the MCP server when run directly, tests connect their own transport
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startServer(process.argv.slice(2)).catch((error) => {
+    log.error('Could not start the MCP server', { error: error.message });
+    process.exit(1);
+  });
+}
+
+async function startServer(args) {
+  if (getTransportOption(args) === 'http') {
+    await startHttpServer(createServer);
+    return;
+  }
+  
+  await server.connect(new StdioServerTransport());
+  log.info('Probo MCP server running on stdio');
+}
 
-console.error('Probo MCP server running on stdio'); 
\ No newline at end of file
+export default server; 
\ No newline at end of file
@@ -0,0 +1,1793 @@
+/**
+ * server.test.js
+ * Automated tests for the MCP tools, run against the local mock API
+ */
+
+import { after, afterEach, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import http from 'http';
+import { tmpdir } from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { startMockServer } from './mockServer.js';
+
+const testAddress = {
+  address_company_name: 'Test Company',
+  address_first_name: 'John',
+  address_last_name: 'Doe',
+  address_street: 'Test Street',
+  address_house_number: '123',
+  address_postal_code: '1234AB',
+  address_city: 'Test City',
+  address_country: 'NL',
+  address_telephone_number: '1234567890',
+  address_email: 'test@example.com',
+};
+
+const bannerOptions = [
+  { code: 'width', value: 2000 },
+  { code: 'height', value: 1000 },
+  { code: 'amount', value: 2 },
+  { code: 'hem-and-eyelets' },
+];
+
+let mockApi;
+let client;
+let server;
+let tempDir;
+let consoleLog;
+
+/**
+ * Calls a tool and parses the JSON data block of the result
+ */
+async function callTool(name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  return {
+    isError: Boolean(result.isError),
+    message: result.content[0].text,
+    data: JSON.parse(result.content[1].text),
+  };
+}
+
+/**
+ * Most recent request the mock API received for a path
+ */
+function lastRequest(method, requestPath) {
+  return mockApi.server.state.requests.filter(request => request.method === method && request.path === requestPath).pop();
+}
+
+async function placeBannerOrder(orderId, additionalOptions = {}) {
+  return callTool('placeOrder', {
+    configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+    address: testAddress,
+    reference: `Reference ${orderId}`,
+    isTest: true,
+    additionalOptions: { orderId, ...additionalOptions },
+  });
+}
+
+before(async () => {
+  // Stdout is the MCP channel under stdio, the logging tests check nothing is printed to it
+  consoleLog = mock.method(console, 'log', () => {});
+  
+  mockApi = await startMockServer(0);
+  process.env.PROBO_API_URL = mockApi.url;
+  process.env.PROBO_API_KEY = 'mock-api-key-secret';
+  process.env.PROBO_API_MODE = 'test';
+  process.env.PROBO_MAX_ORDER_PRICE = '100';
+  process.env.PROBO_MAX_DAILY_SPEND = '100';
+  process.env.PROBO_RETRY_BASE_DELAY_MS = '1';
+  process.env.PROBO_CIRCUIT_BREAKER_COOLDOWN_MS = '300';
+  
+  tempDir = mkdtempSync(path.join(tmpdir(), 'probo-mcp-test-'));
+  process.env.PROBO_ORDER_STORE = path.join(tempDir, 'orders.json');
+  process.env.PROBO_HELD_ORDER_STORE = path.join(tempDir, 'held-orders.json');
+  process.env.PROBO_LOG_FILE = path.join(tempDir, 'probo.log');
+  process.env.PROBO_CATALOGUE_PATH = path.join(tempDir, 'catalogue.json');
+  process.env.PROBO_LOG_LEVEL = 'debug';
+  process.env.PROBO_PREFLIGHT_TIMEOUT_MS = '300';
+  process.env.PROBO_PREFLIGHT_MAX_BYTES = '4096';
+  process.env.PROBO_ARTWORK_DIR = path.join(tempDir, 'artwork');
+  
+  // A second account in production mode, and one without an API key
+  process.env.PROBO_ACCOUNTS = 'brand-b,broken';
+  process.env.PROBO_ACCOUNT_BRAND_B_API_KEY = 'brand-b-api-key';
+  process.env.PROBO_ACCOUNT_BRAND_B_API_URL = mockApi.url;
+  process.env.PROBO_ACCOUNT_BRAND_B_API_MODE = 'production';
+  
+  // Import after the environment is set, the client reads it on load
+  server = (await import('./server.js')).default;
+  
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+  
+  client = new Client({ name: 'probo-mcp-test-suite', version: '0.1.0' });
+  await client.connect(clientTransport);
+});
+
+after(async () => {
+  await client.close();
+  await server.close();
+  mockApi.server.close();
+  rmSync(tempDir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  mockApi.server.state.errorFormat = 'string';
+});
+
+describe('tool registration', () => {
+  test('lists every tool', async () => {
+    const { tools } = await client.listTools();
+    
+    assert.deepEqual(tools.map(tool => tool.name).sort(), [
+      'answerConfiguration',
+      'cancelOrder',
+      'configureProduct',
+      'confirmOrder',
+      'createDraft',
+      'createProject',
+      'createTicket',
+      'createUploader',
+      'getAllOrders',
+      'getCustomerProduct',
+      'getOrderPrice',
+      'getOrderStatus',
+      'getProduct',
+      'getProductTiers',
+      'listAccounts',
+      'listCustomerProducts',
+      'listProjects',
+      'listShippingMethods',
+      'listTickets',
+      'placeOrder',
+      'preflightArtwork',
+      'prepareOrder',
+      'releaseOrder',
+      'searchProducts',
+      'selectAccount',
+      'startConfiguration',
+      'submitHeldOrder',
+      'syncCatalogue',
+    ]);
+  });
+});
+
+describe('schema validation', () => {
+  test('rejects a missing required argument', async () => {
+    await assert.rejects(
+      client.callTool({ name: 'getProduct', arguments: {} }),
+      /Invalid arguments for tool getProduct/
+    );
+  });
+  
+  test('rejects an address without required fields', async () => {
+    await assert.rejects(
+      client.callTool({
+        name: 'placeOrder',
+        arguments: {
+          configuration: { products: [{ code: 'banner-510' }] },
+          address: { address_first_name: 'John' },
+          reference: 'Incomplete address',
+        },
+      }),
+      /address_street/
+    );
+  });
+  
+  test('rejects an invalid email address', async () => {
+    await assert.rejects(
+      client.callTool({
+        name: 'placeOrder',
+        arguments: {
+          configuration: { products: [{ code: 'banner-510' }] },
+          address: { ...testAddress, address_email: 'not-an-email' },
+          reference: 'Invalid email',
+        },
+      }),
+      /Invalid email/
+    );
+  });
+  
+  test('rejects values the spec does not allow', async () => {
+    await assert.rejects(
+      client.callTool({
+        name: 'placeOrder',
+        arguments: {
+          configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+          address: { ...testAddress, address_country: 'NLD' },
+          reference: 'Invalid country',
+        },
+      }),
+      /address_country/
+    );
+  });
+  
+  test('rejects product fields the spec does not define', async () => {
+    await assert.rejects(
+      client.callTool({
+        name: 'placeOrder',
+        arguments: {
+          configuration: { products: [{ code: 'banner-510', options: bannerOptions, colour: 'red' }] },
+          address: testAddress,
+          reference: 'Unknown field',
+        },
+      }),
+      /Invalid arguments for tool placeOrder/
+    );
+  });
+  
+  test('describes tools with the operation descriptions from the spec', async () => {
+    const { tools } = await client.listTools();
+    const placeOrderTool = tools.find(tool => tool.name === 'placeOrder');
+    
+    assert.equal(placeOrderTool.description, 'Place an order at Probo');
+    assert.equal(placeOrderTool.inputSchema.properties.address.properties.address_phone.type, 'string');
+  });
+  
+  test('offers the shipping options of createDraft for prices, except the shipping date', async () => {
+    const { tools } = await client.listTools();
+    const optionNames = name => Object.keys(tools.find(tool => tool.name === name).inputSchema.properties.additionalOptions.properties);
+    const shippingOptions = optionNames('createDraft').filter(option => /^(shipping|delivery)/.test(option));
+    
+    assert.deepEqual(optionNames('getOrderPrice'), shippingOptions.filter(option => option !== 'shippingDate'));
+  });
+  
+  test('rejects a project name longer than 50 characters', async () => {
+    await assert.rejects(
+      client.callTool({ name: 'createProject', arguments: { name: 'x'.repeat(51) } }),
+      /Invalid arguments for tool createProject/
+    );
+  });
+});
+
+describe('products', () => {
+  test('searchProducts returns matching products', async () => {
+    const result = await callTool('searchProducts', { query: 'banner' });
+    
+    assert.equal(result.isError, false);
+    assert.deepEqual(result.data.products.map(product => product.code), ['banner-510']);
+  });
+  
+  test('getProduct returns options and dimensions', async () => {
+    const result = await callTool('getProduct', { productCode: 'banner-510' });
+    
+    assert.equal(result.isError, false);
+    assert.equal(result.data.title, 'Banner 510 gr/m²');
+    assert.deepEqual(result.data.options.map(option => option.code), ['width', 'height', 'amount', 'finishing']);
+    assert.equal(result.data.dimensions.width.max_value, 5000);
+  });
+  
+  test('getProduct reports an unknown product', async () => {
+    const result = await callTool('getProduct', { productCode: 'does-not-exist' });
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /HTTP 404/);
+  });
+  
+  test('getProductTiers calculates totals and discounts', async () => {
+    const result = await callTool('getProductTiers', { productCode: 'tensioner-with-spinhook' });
+    const [variant] = result.data.products;
+    
+    assert.equal(result.isError, false);
+    assert.deepEqual(variant.tiers.map(tier => tier.amount), [1, 10, 50]);
+    assert.ok(variant.tiers[1].discount > 0);
+    assert.ok(variant.tiers[2].discount > variant.tiers[1].discount);
+    assert.equal(variant.tiers[1].total_price, Math.round(variant.tiers[1].unit_price * 10 * 100) / 100);
+  });
+  
+  test('listCustomerProducts and getCustomerProduct return saved products', async () => {
+    const list = await callTool('listCustomerProducts');
+    assert.deepEqual(list.data.products.map(product => product.customer_code), ['mybanner_01']);
+    
+    const product = await callTool('getCustomerProduct', { customerCode: 'mybanner_01' });
+    assert.equal(product.isError, false);
+    assert.equal(product.data.code, 'banner-510');
+  });
+});
+
+describe('product catalogue', () => {
+  const today = new Date().toISOString().slice(0, 10);
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const listRequestCount = () => mockApi.server.state.requests.filter(request => request.path === '/products').length;
+  
+  // Moves the last sync of the default account back in time, as if the catalogue were not used for a while
+  const ageCatalogue = minutes => {
+    const stored = JSON.parse(readFileSync(process.env.PROBO_CATALOGUE_PATH, 'utf8'));
+    stored.accounts.default.synced_at = new Date(Date.now() - minutes * 60 * 1000).toISOString();
+    writeFileSync(process.env.PROBO_CATALOGUE_PATH, JSON.stringify(stored));
+  };
+  
+  afterEach(() => {
+    mockApi.server.state.outages = [];
+  });
+  
+  test('syncCatalogue fetches every product in a full sync', async () => {
+    const result = await callTool('syncCatalogue', { full: true });
+    
+    assert.equal(result.isError, false);
+    assert.equal(result.data.mode, 'full');
+    assert.ok(result.data.products > 1);
+    assert.equal(result.data.fetched, result.data.products);
+    assert.equal(lastRequest('GET', '/products').query.get('per_page'), '50');
+    assert.equal(lastRequest('GET', '/products').query.has('updated_at_from'), false);
+  });
+  
+  test('searchProducts reads the catalogue instead of the API', async () => {
+    const before = listRequestCount();
+    
+    const result = await callTool('searchProducts', { query: 'BANNER' });
+    
+    assert.deepEqual(result.data.products.map(product => product.code), ['banner-510']);
+    assert.equal(result.data.catalogue.source, 'catalogue');
+    assert.equal(result.data.catalogue.stale, false);
+    assert.equal(listRequestCount(), before);
+  });
+  
+  test('searchProducts searches the titles in the requested language', async () => {
+    const dutch = await callTool('searchProducts', { query: 'spandoek', language: 'nl' });
+    assert.deepEqual(dutch.data.products.map(product => product.code), ['banner-510']);
+    
+    const english = await callTool('searchProducts', { query: 'spandoek', language: 'en' });
+    assert.deepEqual(english.data.products, []);
+  });
+  
+  test('syncCatalogue only fetches the products updated since the day before the last sync', async () => {
+    mockApi.server.state.productUpdates.set('banner-510', `${today} 08:00:00`);
+    
+    const result = await callTool('syncCatalogue');
+    
+    assert.equal(result.data.mode, 'incremental');
+    assert.equal(result.data.fetched, 1);
+    assert.equal(lastRequest('GET', '/products').query.get('updated_at_from'), yesterday);
+    
+    const search = await callTool('searchProducts', { query: 'banner' });
+    assert.equal(search.data.products[0].updated_at, `${today} 08:00:00`);
+  });
+  
+  test('getProduct reads product details from the catalogue until the product changes', async () => {
+    const requestCount = () => mockApi.server.state.requests.filter(request => request.path === '/products/product/airtex_01').length;
+    const before = requestCount();
+    
+    const first = await callTool('getProduct', { productCode: 'airtex_01' });
+    const second = await callTool('getProduct', { productCode: 'airtex_01' });
+    assert.equal(first.data.catalogue.source, 'api');
+    assert.equal(second.data.catalogue.source, 'catalogue');
+    assert.deepEqual(second.data.options, first.data.options);
+    assert.equal(requestCount() - before, 1);
+    
+    mockApi.server.state.productUpdates.set('airtex_01', `${today} 09:00:00`);
+    await callTool('syncCatalogue');
+    
+    const changed = await callTool('getProduct', { productCode: 'airtex_01' });
+    assert.equal(changed.data.catalogue.source, 'api');
+    assert.equal(requestCount() - before, 2);
+  });
+  
+  test('refreshes the catalogue when it is older than the TTL', async () => {
+    ageCatalogue(90);
+    const before = listRequestCount();
+    
+    const result = await callTool('searchProducts', { query: 'banner' });
+    
+    assert.equal(result.data.catalogue.stale, false);
+    assert.equal(result.data.catalogue.age_minutes, 0);
+    assert.equal(listRequestCount() - before, 1);
+  });
+  
+  test('searches the stale catalogue when it cannot be refreshed', async () => {
+    ageCatalogue(90);
+    mockApi.server.state.outages.push({ method: 'GET', path: '/products', status: 503, times: 4 });
+    
+    const result = await callTool('searchProducts', { query: 'banner' });
+    
+    assert.equal(result.isError, false);
+    assert.deepEqual(result.data.products.map(product => product.code), ['banner-510']);
+    assert.equal(result.data.catalogue.stale, true);
+    assert.equal(result.data.catalogue.age_minutes, 90);
+    assert.match(result.data.catalogue.refresh_error, /HTTP 503/);
+    assert.match(result.message, /it could not be refreshed/);
+    
+    // The next call refreshes it again
+    mockApi.server.state.outages = [];
+    assert.equal((await callTool('searchProducts', { query: 'banner' })).data.catalogue.stale, false);
+  });
+});
+
+describe('configureProduct', () => {
+  test('injects a default width and height when they are missing', async () => {
+    const result = await callTool('configureProduct', {
+      productCode: 'banner-510',
+      options: [{ code: 'amount', value: 1 }],
+    });
+    
+    assert.equal(result.isError, false);
+    assert.deepEqual(lastRequest('POST', '/products/configure').body.products[0].options, [
+      { code: 'amount', value: 1 },
+      { code: 'width', value: 1000 },
+      { code: 'height', value: 1000 },
+    ]);
+    assert.deepEqual(result.data.defaults_applied, [
+      { field: 'products[0].options.width', value: 1000 },
+      { field: 'products[0].options.height', value: 1000 },
+    ]);
+    assert.match(result.message, /Defaults applied to: products\[0\]\.options\.width, products\[0\]\.options\.height/);
+  });
+  
+  test('lists the missing width and height instead of injecting them in a production account', async () => {
+    const configureBefore = mockApi.server.state.requests.filter(request => request.path === '/products/configure').length;
+    
+    const result = await callTool('configureProduct', {
+      productCode: 'banner-510',
+      options: [{ code: 'amount', value: 1 }],
+      account: 'brand-b',
+    });
+    
+    assert.equal(result.isError, true);
+    assert.equal(
+      result.message,
+      'Error: Cannot configure product: Missing fields (no defaults are used with the strict defaults policy):\n'
+        + '- products[0].options.width: Add a width option, startConfiguration lists the options the product needs\n'
+        + '- products[0].options.height: Add a height option, startConfiguration lists the options the product needs'
+    );
+    assert.equal(mockApi.server.state.requests.filter(request => request.path === '/products/configure').length, configureBefore);
+  });
+  
+  test('keeps the width and height that are given', async () => {
+    await callTool('configureProduct', {
+      productCode: 'banner-510',
+      options: [{ code: 'width', value: 1500 }, { code: 'height', value: 500 }],
+    });
+    
+    const { options } = lastRequest('POST', '/products/configure').body.products[0];
+    assert.deepEqual(options.filter(option => ['width', 'height'].includes(option.code)), [
+      { code: 'width', value: 1500 },
+      { code: 'height', value: 500 },
+    ]);
+  });
+  
+  test('resolves a customer product to its Probo product', async () => {
+    const result = await callTool('configureProduct', { customerCode: 'mybanner_01' });
+    
+    assert.equal(result.isError, false);
+    assert.equal(lastRequest('POST', '/products/configure').body.products[0].code, 'banner-510');
+  });
+  
+  test('configures several products at once', async () => {
+    const result = await callTool('configureProduct', {
+      products: [
+        { id: 1, productCode: 'banner-510', options: bannerOptions },
+        { id: 2, productCode: 'airtex_01', options: [{ code: 'amount', value: 1 }] },
+      ],
+    });
+    
+    assert.equal(result.isError, false);
+    assert.deepEqual(lastRequest('POST', '/products/configure').body.products.map(product => product.id), [1, 2]);
+  });
+  
+  test('createUploader creates an uploader for a calculation', async () => {
+    await callTool('configureProduct', { productCode: 'banner-510', options: bannerOptions });
+    const calculationId = mockApi.server.state.nextCalculationId - 1;
+    
+    const result = await callTool('createUploader', {
+      calculationId,
+      callbackUrl: 'https://example.com/uploaded',
+    });
+    
+    assert.equal(result.isError, false);
+    assert.equal(result.data.uploaders.length, 1);
+  });
+});
+
+describe('guided configuration', () => {
+  test('asks for one option at a time until the product can be ordered', async () => {
+    let result = await callTool('startConfiguration', { productCode: 'banner-510' });
+    
+    assert.equal(result.isError, false);
+    assert.equal(result.data.status, 'in_progress');
+    assert.deepEqual(result.data.next_option, { code: 'width', name: 'Width', type: 'value', min_value: 100, max_value: 5000 });
+    assert.deepEqual(lastRequest('POST', '/products/configure').body.products[0].options, []);
+    
+    const sessionId = result.data.session_id;
+    const answers = [
+      { expected: 'width', answer: { value: 2000 } },
+      { expected: 'height', answer: { value: 1000 } },
+      { expected: 'amount', answer: { value: 2 } },
+    ];
+    
+    for (const { expected, answer } of answers) {
+      assert.equal(result.data.next_option.code, expected);
+      result = await callTool('answerConfiguration', { sessionId, ...answer });
+      assert.equal(result.isError, false);
+    }
+    
+    assert.equal(result.data.next_option.type, 'choice');
+    assert.deepEqual(result.data.next_option.values.map(value => value.code), ['hem-and-eyelets', 'no-finishing']);
+    
+    result = await callTool('answerConfiguration', { sessionId, code: 'hem-and-eyelets' });
+    
+    assert.equal(result.isError, false);
+    assert.match(result.message, /Configuration of banner-510 complete/);
+    assert.equal(result.data.status, 'complete');
+    assert.deepEqual(result.data.configuration.products, [{
+      code: 'banner-510',
+      options: [
+        { code: 'width', value: 2000 },
+        { code: 'height', value: 1000 },
+        { code: 'amount', value: 2 },
+        { code: 'hem-and-eyelets' },
+      ],
+    }]);
+    assert.ok(result.data.prices);
+  });
+  
+  test('starts from the options that are already known', async () => {
+    const result = await callTool('startConfiguration', {
+      productCode: 'banner-510',
+      options: [{ code: 'width', value: 2000 }, { code: 'height', value: 1000 }],
+    });
+    
+    assert.equal(result.data.next_option.code, 'amount');
+    assert.match(result.message, /Next option for banner-510: Amount \(amount\)/);
+  });
+  
+  test('rejects answers outside the allowed values', async () => {
+    const { data } = await callTool('startConfiguration', { productCode: 'banner-510' });
+    
+    const tooWide = await callTool('answerConfiguration', { sessionId: data.session_id, value: 6000 });
+    assert.equal(tooWide.isError, true);
+    assert.match(tooWide.message, /Width must be between 100 and 5000/);
+    
+    const notNumeric = await callTool('answerConfiguration', { sessionId: data.session_id, code: 'hem-and-eyelets' });
+    assert.equal(notNumeric.isError, true);
+    assert.match(notNumeric.message, /Width needs a numeric value/);
+    
+    // The session still waits for the width
+    const result = await callTool('answerConfiguration', { sessionId: data.session_id, value: 2000 });
+    assert.equal(result.data.next_option.code, 'height');
+  });
+  
+  test('rejects a choice that is not offered', async () => {
+    const { data } = await callTool('startConfiguration', {
+      productCode: 'banner-510',
+      options: [{ code: 'width', value: 2000 }, { code: 'height', value: 1000 }, { code: 'amount', value: 1 }],
+    });
+    
+    const result = await callTool('answerConfiguration', { sessionId: data.session_id, code: 'gold-leaf' });
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /choose one of: hem-and-eyelets, no-finishing/);
+  });
+  
+  test('reports an unknown session', async () => {
+    const result = await callTool('answerConfiguration', { sessionId: 'unknown', value: 1 });
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /Configuration session unknown not found/);
+  });
+});
+
+describe('preflightArtwork', () => {
+  test('reads the resolution of a PNG', async () => {
+    // PNG signature, IHDR for 2362x1181 RGB and pHYs for 300 DPI; the parser does not check CRCs
+    const chunk = (type, data) => {
+      const header = Buffer.alloc(8);
+      header.writeUInt32BE(data.length, 0);
+      header.write(type, 4, 'latin1');
+      return Buffer.concat([header, data, Buffer.alloc(4)]);
+    };
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(2362, 0);
+    ihdr.writeUInt32BE(1181, 4);
+    ihdr[8] = 8;
+    ihdr[9] = 2;
+    const phys = Buffer.alloc(9);
+    phys.writeUInt32BE(11811, 0);
+    phys.writeUInt32BE(11811, 4);
+    phys[8] = 1;
+    
+    const file = path.join(tempDir, 'artwork.png');
+    writeFileSync(file, Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk('IHDR', ihdr),
+      chunk('pHYs', phys),
+      chunk('IEND', Buffer.alloc(0)),
+    ]));
+    
+    const result = await callTool('preflightArtwork', { uri: file, width: 200, height: 100 });
+    
+    assert.equal(result.isError, false);
+    assert.equal(result.data.format, 'png');
+    assert.deepEqual(result.data.dpi, { x: 300, y: 300 });
+  });
+  
+  test('reports a missing file as an error', async () => {
+    const result = await callTool('preflightArtwork', { uri: path.join(tempDir, 'missing.pdf') });
+    
+    assert.equal(result.isError, true);
+  });
+  
+  test('reports a truncated PNG instead of reading past its end', async () => {
+    // PNG signature and the first bytes of the IHDR chunk
+    const file = path.join(tempDir, 'truncated.png');
+    writeFileSync(file, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52, 0, 0]));
+    
+    const result = await callTool('preflightArtwork', { uri: file });
+    
+    assert.equal(result.isError, false);
+    assert.equal(result.data.ok, false);
+    assert.equal(result.message, 'Artwork failed preflight: The PNG file is truncated or unreadable, its header ends after 18 bytes');
+  });
+  
+  test('reports a TIFF whose directory lies beyond the end of the file', async () => {
+    const header = Buffer.from('II*\0\0\0\0\0', 'latin1');
+    header.writeUInt32LE(1000, 4);
+    const file = path.join(tempDir, 'truncated.tif');
+    writeFileSync(file, header);
+    
+    const result = await callTool('preflightArtwork', { uri: file });
+    
+    assert.equal(result.data.ok, false);
+    assert.match(result.message, /The TIFF file is truncated or unreadable/);
+  });
+  
+  test('stops downloading artwork that is too slow or too large', async () => {
+    const artworkServer = http.createServer((request, response) => {
+      response.writeHead(200);
+      if (request.url === '/slow.pdf') {
+        // Never finishes the response
+        response.write('%PDF-1.7\n');
+        return;
+      }
+      
+      response.end(Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(8192)]));
+    });
+    await new Promise(resolve => artworkServer.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${artworkServer.address().port}`;
+    
+    try {
+      const slow = await callTool('preflightArtwork', { uri: `${url}/slow.pdf` });
+      assert.equal(slow.isError, true);
+      assert.equal(slow.message, 'Error: Could not download the artwork within 0.3 seconds');
+      
+      const large = await callTool('preflightArtwork', { uri: `${url}/large.pdf` });
+      assert.equal(large.isError, true);
+      assert.equal(large.message, 'Error: Artwork is larger than 4096 bytes, set PROBO_PREFLIGHT_MAX_BYTES to check larger files');
+    } finally {
+      artworkServer.closeAllConnections();
+      artworkServer.close();
+    }
+  });
+  
+  test('does not read local files that are too large or not regular files', async () => {
+    const file = path.join(tempDir, 'large.pdf');
+    writeFileSync(file, Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(8192)]));
+    
+    const large = await callTool('preflightArtwork', { uri: `file://${file}` });
+    assert.equal(large.isError, true);
+    assert.equal(large.message, 'Error: Artwork is larger than 4096 bytes, set PROBO_PREFLIGHT_MAX_BYTES to check larger files');
+    
+    const device = await callTool('preflightArtwork', { uri: '/dev/zero' });
+    assert.equal(device.isError, true);
+    assert.equal(device.message, 'Error: Artwork is not a regular file: /dev/zero');
+  });
+  
+  test('only reads local files in the artwork directory for remote clients', async () => {
+    const { createServer } = await import('./server.js');
+    const sessionServer = createServer();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await sessionServer.connect(serverTransport);
+    
+    const sessionClient = new Client({ name: 'probo-mcp-preflight-test', version: '0.1.0' });
+    await sessionClient.connect(clientTransport);
+    
+    mkdirSync(process.env.PROBO_ARTWORK_DIR, { recursive: true });
+    const artwork = path.join(process.env.PROBO_ARTWORK_DIR, 'artwork.tif');
+    writeFileSync(artwork, Buffer.from('II*\0\0\0\0\0', 'latin1'));
+    const outside = path.join(tempDir, 'outside.tif');
+    writeFileSync(outside, Buffer.from('II*\0\0\0\0\0', 'latin1'));
+    
+    const preflight = async uri => {
+      const result = await sessionClient.callTool({ name: 'preflightArtwork', arguments: { uri } });
+      return { isError: result.isError, message: result.content[0].text };
+    };
+    
+    assert.equal((await preflight(artwork)).isError, false);
+    
+    const refused = await preflight(outside);
+    assert.equal(refused.isError, true);
+    assert.equal(refused.message, `Error: Only files in ${process.env.PROBO_ARTWORK_DIR} can be checked over the HTTP transport`);
+    
+    const escaped = await preflight(path.join(process.env.PROBO_ARTWORK_DIR, '..', 'outside.tif'));
+    assert.equal(escaped.isError, true);
+    
+    await sessionClient.close();
+    await sessionServer.close();
+  });
+});
+
+describe('placeOrder', () => {
+  test('maps the address fields to the API format', async () => {
+    const result = await placeBannerOrder('order-address');
+    
+    assert.equal(result.isError, false);
+    assert.deepEqual(lastRequest('POST', '/order').body.deliveries[0].address, {
+      company_name: 'Test Company',
+      first_name: 'John',
+      last_name: 'Doe',
+      street: 'Test Street',
+      house_number: '123',
+      postal_code: '1234AB',
+      city: 'Test City',
+      country: 'NL',
+      phone: '1234567890',
+      email: 'test@example.com',
+    });
+  });
+  
+  test('sends the shipping choice with the delivery', async () => {
+    await placeBannerOrder('order-shipping', {
+      shippingMethodCode: 'dhl-standard',
+      deliveryDate: '2025-01-10',
+    });
+    
+    const [delivery] = lastRequest('POST', '/order').body.deliveries;
+    assert.equal(delivery.shipping_method_code, 'dhl-standard');
+    assert.equal(delivery.delivery_date, '2025-01-10');
+  });
+  
+  test('places test orders as test orders', async () => {
+    await placeBannerOrder('order-test');
+    
+    assert.equal(mockApi.server.state.orders.get('order-test').order_type, 'test');
+  });
+  
+  test('reports a duplicate order id as an error', async () => {
+    await placeBannerOrder('order-duplicate');
+    const result = await placeBannerOrder('order-duplicate', { deliveryDate: '2025-01-10' });
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /already exists/);
+  });
+  
+  test('adds placeholder artwork to test orders and reports it', async () => {
+    const result = await callTool('placeOrder', {
+      configuration: { products: [{ code: 'tensioner-with-spinhook' }] },
+      address: testAddress,
+      reference: 'Placeholder artwork',
+      isTest: true,
+      additionalOptions: { orderId: 'order-placeholder', hold: true },
+    });
+    
+    assert.equal(result.isError, false);
+    assert.equal(result.data.order.products[0].files.length, 1);
+    assert.deepEqual(result.data.defaults_applied.map(applied => applied.field), ['products[0].files']);
+    assert.match(result.message, /Defaults applied to: products\[0\]\.files/);
+  });
+  
+  test('rejects production orders that would need placeholder artwork', async () => {
+    const ordersBefore = mockApi.server.state.requests.filter(request => request.path === '/order').length;
+    
+    const result = await callTool('prepareOrder', {
+      configuration: { products: [{ code: 'tensioner-with-spinhook' }] },
+      address: testAddress,
+      reference: 'Production without artwork',
+      isTest: false,
+      additionalOptions: { orderId: 'order-strict' },
+    });
+    
+    assert.equal(result.isError, true);
+    assert.equal(
+      result.message,
+      'Error: Cannot prepare order: Missing fields (no defaults are used with the strict defaults policy):\n- products[0].files: Add files or an uploader with the artwork'
+    );
+    assert.equal(mockApi.server.state.requests.filter(request => request.path === '/order').length, ordersBefore);
+  });
+  
+  test('warns about production orders with options but without artwork', async () => {
+    const result = await callTool('prepareOrder', {
+      configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+      address: testAddress,
+      reference: 'Production without artwork',
+      isTest: false,
+      additionalOptions: { orderId: 'order-strict-options' },
+    });
+    
+    assert.equal(result.isError, false);
+    assert.equal(result.data.defaults_applied, undefined);
+    assert.deepEqual(result.data.warnings, ['products[0] has no files or uploader, it is ordered without artwork']);
+    assert.match(result.message, /Warning: products\[0\] has no files or uploader, it is ordered without artwork/);
+  });
+  
+  test('leaves out the contact email and empty address fields when there is none', async () => {
+    const { address_email, ...addressWithoutEmail } = testAddress;
+    
+    const result = await callTool('placeOrder', {
+      configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+      address: addressWithoutEmail,
+      reference: 'Order without email',
+      isTest: true,
+      additionalOptions: { orderId: 'order-without-email' },
+    });
+    
+    const { body } = lastRequest('POST', '/order');
+    assert.equal(result.isError, false);
+    assert.equal('contact_email' in body, false);
+    assert.deepEqual(['addition', 'email'].filter(field => field in body.deliveries[0].address), []);
+  });
+  
+  test('does not report defaults for complete orders', async () => {
+    const result = await placeBannerOrder('order-complete');
+    
+    assert.equal(result.data.defaults_applied, undefined);
+  });
+  
+  test('returns the existing order when an order without id is placed again', async () => {
+    const placeRetriedOrder = () => callTool('placeOrder', {
+      configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+      address: testAddress,
+      reference: 'Retried order',
+      isTest: true,
+    });
+    const ordersBefore = mockApi.server.state.orders.size;
+    
+    const first = await placeRetriedOrder();
+    const retry = await placeRetriedOrder();
+    
+    assert.equal(first.isError, false);
+    assert.equal(retry.isError, false);
+    assert.equal(retry.data.status, 'duplicate');
+    assert.equal(retry.data.order.id, first.data.order.id);
+    assert.equal(retry.data.existing_order.customer_order_id, first.data.order.id);
+    assert.match(retry.message, /was already placed by an identical request/);
+    assert.equal(mockApi.server.state.orders.size, ordersBefore + 1);
+    assert.equal(lastRequest('GET', '/orders').query.get('customer_order_id'), first.data.order.id);
+  });
+  
+  test('sends the order again with the same id when the earlier attempt did not arrive', async () => {
+    await placeBannerOrder('order-lost');
+    mockApi.server.state.orders.delete('order-lost');
+    
+    const result = await placeBannerOrder('order-lost');
+    
+    assert.equal(result.isError, false);
+    assert.notEqual(result.data.status, 'duplicate');
+    assert.equal(mockApi.server.state.orders.has('order-lost'), true);
+  });
+  
+  test('places orders that only differ in reference separately', async () => {
+    const ordersBefore = mockApi.server.state.orders.size;
+    
+    for (const reference of ['First shop', 'Second shop']) {
+      await callTool('placeOrder', {
+        configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+        address: testAddress,
+        reference,
+        isTest: true,
+      });
+    }
+    
+    assert.equal(mockApi.server.state.orders.size, ordersBefore + 2);
+  });
+  
+  test('holds an order until it is submitted', async () => {
+    const held = await placeBannerOrder('order-held', { hold: true });
+    
+    assert.equal(held.isError, false);
+    assert.equal(held.data.status, 'on_hold');
+    assert.equal(mockApi.server.state.orders.has('order-held'), false);
+    
+    // Held orders are kept on disk, so a restart does not lose them
+    const stored = JSON.parse(readFileSync(process.env.PROBO_HELD_ORDER_STORE, 'utf8'));
+    assert.equal(stored.orders['default/order-held'].order.id, 'order-held');
+    
+    const submitted = await callTool('submitHeldOrder', { orderId: 'order-held' });
+    
+    assert.equal(submitted.isError, false);
+    assert.equal(submitted.data.status, 'submitted');
+    assert.equal(submitted.data.order_status.orders[0].status_code, 'accepted');
+    assert.equal(mockApi.server.state.orders.has('order-held'), true);
+    assert.equal(JSON.parse(readFileSync(process.env.PROBO_HELD_ORDER_STORE, 'utf8')).orders['default/order-held'], undefined);
+  });
+  
+  test('submitHeldOrder reports a held order that was already placed', async () => {
+    await placeBannerOrder('order-held-duplicate');
+    const held = await placeBannerOrder('order-held-duplicate', { hold: true });
+    assert.equal(held.data.status, 'on_hold');
+    const ordersBefore = mockApi.server.state.requests.filter(request => request.path === '/order').length;
+    
+    const submitted = await callTool('submitHeldOrder', { orderId: 'order-held-duplicate' });
+    
+    assert.equal(submitted.isError, false);
+    assert.equal(submitted.data.status, 'duplicate');
+    assert.equal(submitted.message, 'Held order order-held-duplicate was already placed by an identical request, it was not placed again');
+    assert.equal(mockApi.server.state.requests.filter(request => request.path === '/order').length, ordersBefore);
+  });
+  
+  test('submitHeldOrder only submits held orders', async () => {
+    const releaseRequests = mockApi.server.state.requests.filter(request => request.path === '/order/release').length;
+    
+    const result = await callTool('submitHeldOrder', { orderId: 'order-never-held' });
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /No held order with ID order-never-held/);
+    assert.equal(mockApi.server.state.requests.filter(request => request.path === '/order/release').length, releaseRequests);
+  });
+  
+  test('releaseOrder releases a cancelled order ID', async () => {
+    await placeBannerOrder('order-to-release');
+    await callTool('cancelOrder', { orderId: 'order-to-release' });
+    
+    const released = await callTool('releaseOrder', { orderId: 'order-to-release' });
+    
+    assert.equal(released.isError, false);
+    assert.deepEqual(lastRequest('POST', '/order/release').body, { id: 'order-to-release' });
+  });
+});
+
+describe('order confirmation', () => {
+  const prepareBannerOrder = (orderId, amount = 2) => callTool('prepareOrder', {
+    configuration: {
+      products: [{ code: 'banner-510', options: bannerOptions.map(option => (option.code === 'amount' ? { code: 'amount', value: amount } : option)) }],
+    },
+    address: testAddress,
+    reference: `Reference ${orderId}`,
+    isTest: false,
+    additionalOptions: { orderId, shippingMethodCode: 'dhl-standard' },
+  });
+  
+  const orderRequestCount = () => mockApi.server.state.requests.filter(request => request.path === '/order').length;
+  
+  test('placeOrder refuses production orders', async () => {
+    const ordersBefore = orderRequestCount();
+    
+    const result = await callTool('placeOrder', {
+      configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+      address: testAddress,
+      reference: 'Unconfirmed production order',
+      isTest: false,
+    });
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /Production orders need a confirmation: call prepareOrder/);
+    assert.equal(orderRequestCount(), ordersBefore);
+  });
+  
+  test('places a production order once it is confirmed', async () => {
+    const ordersBefore = orderRequestCount();
+    const prepared = await prepareBannerOrder('order-confirmed');
+    
+    assert.equal(prepared.isError, false);
+    assert.equal(prepared.data.status, 'awaiting_confirmation');
+    assert.equal(prepared.data.summary.order_type, 'production');
+    assert.equal(prepared.data.summary.deliveries[0].shipping, 'dhl-standard');
+    assert.ok(prepared.data.price.purchase_price > 0);
+    assert.deepEqual(prepared.data.spending_limits, { max_order_price: 100, max_daily_spend: 100, spent_today: 0 });
+    assert.equal(orderRequestCount(), ordersBefore);
+    
+    const confirmed = await callTool('confirmOrder', { confirmationToken: prepared.data.confirmation_token });
+    
+    assert.equal(confirmed.isError, false);
+    assert.match(confirmed.message, /Order placed successfully: order-confirmed/);
+    assert.equal(mockApi.server.state.orders.get('order-confirmed').order_type, 'production');
+  });
+  
+  test('does not accept a confirmation token twice', async () => {
+    const prepared = await callTool('prepareOrder', {
+      configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+      address: testAddress,
+      reference: 'Confirmed twice',
+      isTest: true,
+      additionalOptions: { orderId: 'order-confirmed-twice' },
+    });
+    
+    await callTool('confirmOrder', { confirmationToken: prepared.data.confirmation_token });
+    const result = await callTool('confirmOrder', { confirmationToken: prepared.data.confirmation_token });
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /Confirmation token not found or expired/);
+  });
+  
+  test('rejects an order over the limit per order', async () => {
+    const result = await prepareBannerOrder('order-over-limit', 20);
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /exceeds the limit of 100 per order \(PROBO_MAX_ORDER_PRICE\)/);
+  });
+  
+  test('rejects an order over the daily limit', async () => {
+    // The order confirmed above already counts towards today's spending
+    const result = await prepareBannerOrder('order-over-daily-limit');
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /over the daily limit of 100 \(PROBO_MAX_DAILY_SPEND\)/);
+  });
+  
+  test('does not prepare an order without a price', async () => {
+    mockApi.server.state.noPrices = true;
+    const result = await prepareBannerOrder('order-without-price');
+    mockApi.server.state.noPrices = false;
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /Probo returned no price for the order/);
+  });
+  
+  // The tests below use the second account, which has not spent anything today
+  const prepareSecondAccountOrder = orderId => callTool('prepareOrder', {
+    configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+    address: testAddress,
+    reference: `Reference ${orderId}`,
+    isTest: false,
+    additionalOptions: { orderId, shippingMethodCode: 'dhl-standard' },
+    account: 'brand-b',
+  });
+  
+  test('gives the reserved amount back when placing the order fails', async () => {
+    const prepared = await prepareSecondAccountOrder('order-failed-spending');
+    mockApi.server.state.outages.push({ method: 'POST', path: '/order', status: 503, times: 1 });
+    
+    const failed = await callTool('confirmOrder', { confirmationToken: prepared.data.confirmation_token });
+    mockApi.server.state.outages = [];
+    assert.equal(failed.isError, true);
+    
+    const next = await prepareSecondAccountOrder('order-after-failed-spending');
+    assert.equal(next.data.spending_limits.spent_today, 0);
+  });
+  
+  test('counts orders confirmed at the same time towards the daily limit', async () => {
+    const first = await prepareSecondAccountOrder('order-concurrent-1');
+    const second = await prepareSecondAccountOrder('order-concurrent-2');
+    assert.ok(first.data.price.purchase_price * 2 > 100, 'the two orders together must exceed the daily limit');
+    
+    const results = await Promise.all([first, second].map(prepared => callTool('confirmOrder', { confirmationToken: prepared.data.confirmation_token })));
+    
+    assert.deepEqual(results.map(result => result.isError).sort(), [false, true]);
+    assert.match(results.find(result => result.isError).message, /over the daily limit of 100/);
+    assert.equal(['order-concurrent-1', 'order-concurrent-2'].filter(id => mockApi.server.state.orders.has(id)).length, 1);
+  });
+  
+  test('holds a production order and places it once the submitted order is confirmed', async () => {
+    // A small banner, which fits in what is left of the daily limit
+    const smallBannerOptions = [{ code: 'width', value: 500 }, { code: 'height', value: 500 }, { code: 'amount', value: 1 }, { code: 'hem-and-eyelets' }];
+    const heldOrder = () => JSON.parse(readFileSync(process.env.PROBO_HELD_ORDER_STORE, 'utf8')).orders['brand-b/order-held-production'];
+    const ordersBefore = orderRequestCount();
+    
+    const held = await callTool('placeOrder', {
+      configuration: { products: [{ code: 'banner-510', options: smallBannerOptions }] },
+      address: testAddress,
+      reference: 'Held production order',
+      isTest: false,
+      additionalOptions: { orderId: 'order-held-production', shippingMethodCode: 'dhl-standard', hold: true },
+      account: 'brand-b',
+    });
+    
+    assert.equal(held.isError, false);
+    assert.equal(held.data.status, 'on_hold');
+    assert.equal(held.data.order.order_type, 'production');
+    
+    // Submitting a held production order prepares it, it stays held until it is confirmed
+    const prepared = await callTool('submitHeldOrder', { orderId: 'order-held-production', account: 'brand-b' });
+    
+    assert.equal(prepared.isError, false);
+    assert.equal(prepared.data.status, 'awaiting_confirmation');
+    assert.equal(prepared.data.summary.id, 'order-held-production');
+    assert.match(prepared.message, /^Held production order order-held-production prepared for [\d.]+ excl\. VAT/);
+    assert.equal(orderRequestCount(), ordersBefore);
+    assert.ok(heldOrder());
+    
+    const confirmed = await callTool('confirmOrder', { confirmationToken: prepared.data.confirmation_token });
+    
+    assert.equal(confirmed.isError, false);
+    assert.equal(mockApi.server.state.orders.get('order-held-production').order_type, 'production');
+    assert.equal(heldOrder(), undefined);
+  });
+});
+
+describe('orders', () => {
+  test('createDraft creates a draft', async () => {
+    const result = await callTool('createDraft', {
+      configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+      address: testAddress,
+      reference: 'Draft',
+    });
+    
+    assert.equal(result.isError, false);
+    assert.equal(lastRequest('POST', '/drafts').body.products[0].code, 'banner-510');
+  });
+  
+  test('createDraft leaves out the contact email when there is none', async () => {
+    const { address_email, ...addressWithoutEmail } = testAddress;
+    
+    const result = await callTool('createDraft', {
+      configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+      address: addressWithoutEmail,
+      reference: 'Draft without email',
+    });
+    
+    assert.equal(result.isError, false);
+    assert.equal('contact_email' in lastRequest('POST', '/drafts').body, false);
+  });
+  
+  test('getOrderPrice returns the price options', async () => {
+    const result = await callTool('getOrderPrice', {
+      configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+      address: testAddress,
+    });
+    
+    assert.equal(result.isError, false);
+    assert.deepEqual(result.data.prices.map(price => price.production_hours), [24, 48]);
+    assert.ok(result.data.prices[1].total.sales_price > 0);
+    assert.equal(result.data.prices[1].deliveries[0].shipping_method_code, 'dhl-standard');
+  });
+  
+  test('listShippingMethods returns the shipping methods', async () => {
+    const result = await callTool('listShippingMethods', { language: 'en' });
+    
+    assert.deepEqual(result.data.shipping_methods.map(method => method.code), ['dhl-standard', 'onbezorgd-standard']);
+    assert.equal(result.data.shipping_methods[0].title, 'DHL - Standaard');
+  });
+  
+  test('getOrderStatus and getAllOrders return placed orders', async () => {
+    await placeBannerOrder('order-status');
+    
+    const status = await callTool('getOrderStatus', { orderIds: ['order-status'] });
+    assert.equal(status.isError, false);
+    assert.equal(status.data.orders[0].status_code, 'accepted');
+    
+    const orders = await callTool('getAllOrders', { filters: { customer_order_id: 'order-status' } });
+    assert.equal(orders.isError, false);
+    assert.equal(orders.data.orders.length, 1);
+  });
+  
+  test('cancelOrder cancels an order', async () => {
+    await placeBannerOrder('order-cancel');
+    
+    const result = await callTool('cancelOrder', { orderId: 'order-cancel' });
+    
+    assert.equal(result.isError, false);
+    assert.equal(mockApi.server.state.orders.get('order-cancel').status_code, 'cancelled');
+  });
+  
+  test('cancelOrder reports an order in production as an error', async () => {
+    await placeBannerOrder('order-production');
+    mockApi.server.state.orders.get('order-production').status_code = 'production';
+    
+    const result = await callTool('cancelOrder', { orderId: 'order-production' });
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /because order status is: production/);
+  });
+});
+
+describe('projects and tickets', () => {
+  test('createProject and listProjects', async () => {
+    const created = await callTool('createProject', { name: 'Spring campaign', number: 'P-1' });
+    assert.equal(created.isError, false);
+    
+    const list = await callTool('listProjects');
+    assert.deepEqual(list.data.projects.map(project => project.name), ['Spring campaign']);
+  });
+  
+  test('createTicket and listTickets', async () => {
+    await placeBannerOrder('order-ticket');
+    
+    const created = await callTool('createTicket', {
+      orderId: 'order-ticket',
+      reason: 'damaged',
+      suggestedSolution: 'reprint',
+      message: 'The banner arrived torn',
+    });
+    assert.equal(created.isError, false);
+    
+    const list = await callTool('listTickets');
+    assert.equal(list.data.tickets.length, 1);
+  });
+});
+
+describe('API error handling', () => {
+  const invalidPrice = {
+    configuration: {
+      products: [
+        { code: 'banner-510', options: [{ code: 'width', value: 50 }] },
+        { code: 'banner-510', options: [{ code: 'width', value: 50 }] },
+      ],
+    },
+  };
+  
+  test('lists validation errors sent as a newline separated string', async () => {
+    const result = await callTool('getOrderPrice', invalidPrice);
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /^Error: Failed to get order price: HTTP 400 - Validation failed\nValidation errors:\n- /);
+    assert.match(result.message, /- products\[0\]\.options: Value for "width" should be between 100 and 5000/);
+    assert.match(result.message, /- products\[1\]\.options: Value for "width" should be between 100 and 5000/);
+  });
+  
+  test('lists validation errors sent as an array', async () => {
+    mockApi.server.state.errorFormat = 'array';
+    
+    const result = await callTool('getOrderPrice', invalidPrice);
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /Validation errors:\n- products\[0\]\.options: Value for "width" should be between 100 and 5000\n- products\[1\]/);
+  });
+  
+  test('limits the listed errors to ten', async () => {
+    const products = Array.from({ length: 12 }, () => ({ code: 'banner-510', options: [{ code: 'width', value: 50 }] }));
+    mockApi.server.state.errorFormat = 'array';
+    
+    const result = await callTool('getOrderPrice', { configuration: { products } });
+    
+    assert.equal(result.message.split('\n').filter(line => line.startsWith('- ')).length, 10);
+    assert.match(result.message, /\.\.\. and \d+ more errors$/);
+  });
+});
+
+describe('request validation', () => {
+  const requestCount = requestPath => mockApi.server.state.requests.filter(request => request.path === requestPath).length;
+  
+  test('rejects an invalid order before sending it', async () => {
+    const ordersSent = requestCount('/order');
+    
+    const result = await placeBannerOrder('order id with spaces');
+    
+    assert.equal(result.isError, true);
+    assert.equal(
+      result.message,
+      'Error: Failed to place order: Request validation failed\nValidation errors:\n' +
+        '- id: This value is not valid.'
+    );
+    assert.equal(requestCount('/order'), ordersSent);
+  });
+  
+  test('rejects an invalid order when it is put on hold', async () => {
+    const result = await placeBannerOrder('order held invalid', { hold: true });
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /- id: This value is not valid\./);
+  });
+  
+  test('rejects more than five order ids in a status request', async () => {
+    const result = await callTool('getOrderStatus', { orderIds: ['1', '2', '3', '4', '5', '6'] });
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /- orders: This collection should contain 5 elements or less\./);
+  });
+  
+  test('sends callback URLs in the field the spec defines', async () => {
+    await placeBannerOrder('order-callback', { callbackUrl: 'https://example.com/status' });
+    
+    assert.deepEqual(lastRequest('POST', '/order').body.callback_urls, ['https://example.com/status']);
+  });
+  
+  test('places every delivery of an order', async () => {
+    const result = await callTool('placeOrder', {
+      configuration: { products: [{ id: 1, code: 'banner-510', options: bannerOptions }] },
+      reference: 'Two addresses',
+      additionalOptions: {
+        orderId: 'order-two-deliveries',
+        deliveries: [
+          { address: testAddress, shippingMethodCode: 'dhl-standard' },
+          { address: { ...testAddress, address_city: 'Other City' }, shippingMethodCode: 'onbezorgd-standard', deliveryDate: '2025-01-20' },
+        ],
+      },
+    });
+    
+    assert.equal(result.isError, false);
+    assert.deepEqual(mockApi.server.state.orders.get('order-two-deliveries').deliveries.map(delivery => [delivery.address.city, delivery.shipping_method_code]), [
+      ['Test City', 'dhl-standard'],
+      ['Other City', 'onbezorgd-standard'],
+    ]);
+    assert.equal(mockApi.server.state.orders.get('order-two-deliveries').deliveries[1].delivery_date, '2025-01-20');
+  });
+  
+  test('checks every delivery, not only the first', async () => {
+    const result = await callTool('placeOrder', {
+      configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+      reference: 'Unknown shipping method',
+      additionalOptions: {
+        orderId: 'order-unknown-shipping',
+        deliveries: [
+          { address: testAddress, shippingMethodCode: 'dhl-standard' },
+          { address: testAddress, shippingMethodCode: 'no-such-method' },
+        ],
+      },
+    });
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /deliveries\[1\]\.shipping_method_code: Unknown shipping method "no-such-method"/);
+  });
+  
+  test('rejects amounts per delivery, which the API cannot express', async () => {
+    const before = mockApi.server.state.requests.length;
+    const result = await callTool('placeOrder', {
+      configuration: { products: [{ id: 1, code: 'banner-510', options: bannerOptions }] },
+      reference: 'Split delivery',
+      additionalOptions: {
+        orderId: 'order-split',
+        deliveries: [
+          { address: testAddress, products: [{ id: 1, amount: 1 }] },
+          { address: { ...testAddress, address_city: 'Other City' }, products: [{ id: 1, amount: 1 }] },
+        ],
+      },
+    });
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /Amounts per delivery are not supported by the Probo API/);
+    assert.equal(mockApi.server.state.requests.length, before);
+  });
+});
+
+describe('accounts', () => {
+  test('lists the accounts and their configuration errors', async () => {
+    const result = await callTool('listAccounts');
+    
+    assert.equal(result.isError, false);
+    assert.match(result.message, /Found 3 Probo accounts, using default\. Not configured correctly: broken/);
+    assert.deepEqual(result.data.accounts.map(({ name, mode, default: isDefault, configured }) => ({ name, mode, isDefault, configured })), [
+      { name: 'default', mode: 'test', isDefault: true, configured: true },
+      { name: 'brand-b', mode: 'production', isDefault: false, configured: true },
+      { name: 'broken', mode: 'test', isDefault: false, configured: false },
+    ]);
+    assert.deepEqual(result.data.accounts[2].errors, ['PROBO_ACCOUNT_BROKEN_API_KEY is not set']);
+    assert.equal(JSON.stringify(result.data).includes('brand-b-api-key'), false);
+  });
+  
+  test('uses the account passed to a tool call', async () => {
+    await callTool('getProductTiers', { productCode: 'banner-510', account: 'brand-b' });
+    assert.equal(lastRequest('GET', '/products/product/banner-510/tiers').authorization, 'Basic brand-b-api-key');
+    
+    await callTool('getProductTiers', { productCode: 'banner-510' });
+    assert.equal(lastRequest('GET', '/products/product/banner-510/tiers').authorization, 'Basic mock-api-key-secret');
+  });
+  
+  test('reports unknown and misconfigured accounts when they are used', async () => {
+    const broken = await callTool('searchProducts', { account: 'broken' });
+    assert.equal(broken.isError, true);
+    assert.match(broken.message, /Probo account "broken" is not configured correctly: PROBO_ACCOUNT_BROKEN_API_KEY is not set/);
+    
+    const unknown = await callTool('searchProducts', { account: 'brand-c' });
+    assert.equal(unknown.isError, true);
+    assert.match(unknown.message, /Unknown Probo account "brand-c", the accounts are: default, brand-b, broken/);
+  });
+  
+  test('selects an account for the session', async () => {
+    const { createServer } = await import('./server.js');
+    const sessionServer = createServer();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await sessionServer.connect(serverTransport);
+    
+    const sessionClient = new Client({ name: 'probo-mcp-account-test', version: '0.1.0' });
+    await sessionClient.connect(clientTransport);
+    
+    const broken = await sessionClient.callTool({ name: 'selectAccount', arguments: { account: 'broken' } });
+    assert.equal(broken.isError, true);
+    
+    const selected = await sessionClient.callTool({ name: 'selectAccount', arguments: { account: 'brand-b' } });
+    assert.equal(selected.content[0].text, 'Selected Probo account brand-b (production mode) for this session');
+    
+    // Orders follow the mode of the selected account
+    const order = await sessionClient.callTool({
+      name: 'placeOrder',
+      arguments: {
+        configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+        address: testAddress,
+        reference: 'Reference brand-b',
+      },
+    });
+    assert.equal(order.isError, true);
+    assert.match(order.content[0].text, /Production orders need a confirmation/);
+    
+    // Other sessions keep the default account
+    const result = await callTool('listAccounts');
+    assert.equal(result.data.selected, 'default');
+    
+    await sessionClient.close();
+    await sessionServer.close();
+  });
+  
+  test('starts without an API key', () => {
+    const { PROBO_API_KEY, PROBO_ACCOUNTS, ...env } = process.env;
+    
+    const output = execFileSync(process.execPath, [
+      '--input-type=module',
+      '-e',
+      "await import('./server.js'); const { listAccounts } = await import('./accounts.js'); console.log(JSON.stringify(listAccounts()));",
+    ], { env: { ...env, PROBO_LOG_LEVEL: 'silent' }, timeout: 10000, stdio: ['ignore', 'pipe', 'ignore'] });
+    
+    assert.deepEqual(JSON.parse(output.toString()).map(({ name, configured, errors }) => ({ name, configured, errors })), [
+      { name: 'default', configured: false, errors: ['PROBO_API_KEY is not set'] },
+    ]);
+  });
+  
+  test('reports settings that are not valid instead of failing to start', () => {
+    const env = {
+      ...process.env,
+      PROBO_LOG_LEVEL: 'loud',
+      PROBO_LOG_FILE: path.join(tempDir, 'invalid-settings.log'),
+      PROBO_DEFAULTS_POLICY: 'lenient',
+      PROBO_MAX_ORDER_PRICE: 'a lot',
+      PROBO_RATE_LIMIT: 'fast',
+    };
+    
+    const output = execFileSync(process.execPath, [
+      '--input-type=module',
+      '-e',
+      "await import('./server.js'); const { getAccount, listAccounts } = await import('./accounts.js'); let error; try { getAccount('default'); } catch (e) { error = e.message; } console.log(JSON.stringify({ accounts: listAccounts(), error }));",
+    ], { env, timeout: 10000, stdio: ['ignore', 'pipe', 'ignore'] });
+    
+    const { accounts, error } = JSON.parse(output.toString());
+    const settingErrors = [
+      'PROBO_LOG_LEVEL must be one of: debug, info, warn, error, silent',
+      'PROBO_DEFAULTS_POLICY must be "strict" or "permissive"',
+      'PROBO_MAX_ORDER_PRICE and PROBO_MAX_DAILY_SPEND must be numbers',
+      'PROBO_MAX_RETRIES and PROBO_RATE_LIMIT must be numbers',
+    ];
+    
+    assert.deepEqual(accounts.find(account => account.name === 'brand-b').errors, settingErrors);
+    assert.equal(accounts.every(account => !account.configured), true);
+    assert.equal(error, `Probo account "default" is not configured correctly: ${settingErrors.join(', ')}. Check the accounts with listAccounts`);
+  });
+});
+
+describe('resilience', () => {
+  const requestCount = (method, requestPath) => mockApi.server.state.requests
+    .filter(request => request.method === method && request.path === requestPath).length;
+  
+  afterEach(async () => {
+    mockApi.server.state.outages = [];
+    
+    // Failures count until a request succeeds, start the next test without any
+    await callTool('getProductTiers', { productCode: 'banner-510' });
+  });
+  
+  test('retries idempotent requests after a 5xx', async () => {
+    mockApi.server.state.outages.push({ method: 'GET', path: '/products/product/banner-510/tiers', status: 503, times: 2 });
+    const before = requestCount('GET', '/products/product/banner-510/tiers');
+    
+    const result = await callTool('getProductTiers', { productCode: 'banner-510' });
+    
+    assert.equal(result.isError, false);
+    assert.equal(requestCount('GET', '/products/product/banner-510/tiers') - before, 3);
+  });
+  
+  test('retries price requests', async () => {
+    mockApi.server.state.outages.push({ method: 'POST', path: '/price', status: 502, times: 1 });
+    
+    const result = await callTool('getOrderPrice', {
+      configuration: { products: [{ code: 'banner-510', options: bannerOptions }] },
+    });
+    
+    assert.equal(result.isError, false);
+  });
+  
+  test('waits for Retry-After when rate limited', async () => {
+    mockApi.server.state.outages.push({ method: 'GET', path: '/orders', status: 429, headers: { 'Retry-After': '1' }, times: 1 });
+    const startedAt = Date.now();
+    
+    const result = await callTool('getAllOrders');
+    
+    assert.equal(result.isError, false);
+    assert.ok(Date.now() - startedAt >= 900, 'the retry was sent before Retry-After');
+  });
+  
+  test('never retries placing an order', async () => {
+    mockApi.server.state.outages.push({ method: 'POST', path: '/order', status: 503, times: 1 });
+    const before = requestCount('POST', '/order');
+    
+    const result = await placeBannerOrder('order-not-retried');
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /HTTP 503/);
+    assert.equal(requestCount('POST', '/order') - before, 1);
+  });
+  
+  test('gives up after the retries', async () => {
+    mockApi.server.state.outages.push({ method: 'GET', path: '/projects', status: 500, times: 10 });
+    const before = requestCount('GET', '/projects');
+    
+    const result = await callTool('listProjects');
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /HTTP 500/);
+    assert.equal(requestCount('GET', '/projects') - before, 4);
+  });
+  
+  test('pauses requests while Probo is unavailable', async () => {
+    mockApi.server.state.outages.push({ method: 'GET', path: '/tickets', status: 503, times: 100 });
+    
+    // Each request fails after four attempts and counts once, the fifth failure in a row opens the circuit breaker
+    for (let request = 1; request <= 5; request++) {
+      const sent = requestCount('GET', '/tickets');
+      const failed = await callTool('listTickets');
+      assert.match(failed.message, /HTTP 503/);
+      assert.equal(requestCount('GET', '/tickets') - sent, 4);
+    }
+    
+    const opened = await callTool('listTickets');
+    assert.equal(opened.isError, true);
+    assert.match(opened.message, /Probo is unavailable, the last 5 requests failed/);
+    
+    const before = requestCount('GET', '/tickets');
+    const paused = await callTool('getProductTiers', { productCode: 'banner-510' });
+    assert.equal(paused.isError, true);
+    assert.match(paused.message, /Failed to get product tiers: Probo is unavailable/);
+    assert.equal(requestCount('GET', '/tickets'), before);
+    
+    // After the cooldown a request is let through, and closes the breaker when it succeeds
+    mockApi.server.state.outages = [];
+    await new Promise(resolve => setTimeout(resolve, 350));
+    assert.equal((await callTool('listTickets')).isError, false);
+    assert.equal((await callTool('getProductTiers', { productCode: 'banner-510' })).isError, false);
+  });
+  
+  test('lets the next request try when the trial request fails before it is sent', async () => {
+    mockApi.server.state.outages.push({ method: 'GET', path: '/tickets', status: 503, times: 100 });
+    for (let request = 1; request <= 5; request++) {
+      await callTool('listTickets');
+    }
+    mockApi.server.state.outages = [];
+    await new Promise(resolve => setTimeout(resolve, 350));
+    
+    // The trial request fails in the client, it never reaches Probo
+    const request = mock.method(http, 'request', () => {
+      throw new Error('Socket could not be created');
+    });
+    try {
+      const failed = await callTool('listTickets');
+      assert.equal(failed.isError, true);
+      assert.match(failed.message, /Socket could not be created/);
+    } finally {
+      request.mock.restore();
+    }
+    
+    assert.equal((await callTool('listTickets')).isError, false);
+  });
+  
+  test('spaces out requests with a token bucket', async () => {
+    const { createRateLimiter } = await import('./resilience.js');
+    const limiter = createRateLimiter(20, 2);
+    const startedAt = Date.now();
+    
+    await Promise.all([1, 2, 3, 4].map(() => limiter.take()));
+    
+    // Two requests right away, then one every 50 ms
+    assert.ok(Date.now() - startedAt >= 90);
+  });
+  
+  test('retries only idempotent requests', async () => {
+    const { isIdempotentRequest } = await import('./resilience.js');
+    
+    assert.equal(isIdempotentRequest({ method: 'get', url: '/orders?page=1' }), true);
+    assert.equal(isIdempotentRequest({ method: 'post', url: '/order/status' }), true);
+    assert.equal(isIdempotentRequest({ method: 'post', url: '/price' }), true);
+    assert.equal(isIdempotentRequest({ method: 'post', url: '/order' }), false);
+    assert.equal(isIdempotentRequest({ method: 'post', url: '/order/cancel' }), false);
+  });
+});
+
+describe('logging', () => {
+  const readLog = () => readFileSync(process.env.PROBO_LOG_FILE, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  
+  test('does not write to stdout', async () => {
+    await placeBannerOrder('order-logging-stdout');
+    
+    assert.equal(consoleLog.mock.callCount(), 0);
+    assert.match(readFileSync(process.env.PROBO_LOG_FILE, 'utf8'), /order-logging-stdout/);
+  });
+  
+  test('logs the API requests of a tool call with its correlation id', async () => {
+    await callTool('getProductTiers', { productCode: 'airtex_01' });
+    
+    const finished = readLog().filter(entry => entry.message === 'Tool call finished' && entry.tool === 'getProductTiers').pop();
+    assert.ok(finished.correlation_id);
+    assert.equal(finished.is_error, false);
+    
+    const related = readLog().filter(entry => entry.correlation_id === finished.correlation_id);
+    assert.ok(related.some(entry => entry.message === 'API response' && entry.url.includes('airtex_01') && entry.status === 200));
+    assert.ok(related.every(entry => entry.tool === 'getProductTiers'));
+  });
+  
+  test('redacts the API key, email addresses and phone numbers', async () => {
+    await placeBannerOrder('order-logging-redacted', { errorEmails: 'errors@example.com' });
+    
+    const log = readFileSync(process.env.PROBO_LOG_FILE, 'utf8');
+    assert.match(log, /order-logging-redacted/);
+    
+    for (const secret of ['mock-api-key-secret', 'test@example.com', 'errors@example.com', '1234567890']) {
+      assert.equal(log.includes(secret), false, `${secret} is in the log`);
+    }
+  });
+  
+  test('redacts credentials and personal data in text', async () => {
+    const { redact } = await import('./logger.js');
+    
+    assert.deepEqual(redact({
+      message: 'Call +31 6 1234 5678 or mail jane@example.com, auth Basic bW9jaw==',
+      address: { phone: '0612345678', city: 'Amsterdam' },
+    }), {
+      message: 'Call [REDACTED_PHONE] or mail [REDACTED_EMAIL], auth Basic [REDACTED]',
+      address: { phone: '[REDACTED]', city: 'Amsterdam' },
+    });
+  });
+  
+  test('rotates the log file', () => {
+    const logFile = path.join(tempDir, 'rotated.log');
+    
+    execFileSync(process.execPath, [
+      '--input-type=module',
+      '-e',
+      "const { createLogger } = await import('./logger.js'); const log = createLogger('test'); for (let i = 0; i < 20; i++) log.info('Line ' + i);",
+    ], {
+      env: { ...process.env, PROBO_LOG_FILE: logFile, PROBO_LOG_MAX_BYTES: '300', PROBO_LOG_MAX_FILES: '2' },
+      timeout: 10000,
+    });
+    
+    assert.equal(existsSync(`${logFile}.1`), true);
+    assert.equal(existsSync(`${logFile}.2`), true);
+    assert.equal(existsSync(`${logFile}.3`), false);
+    assert.match(readFileSync(logFile, 'utf8'), /Line 19/);
+  });
+});
+
+describe('HTTP transport', () => {
+  const token = 'team-token';
+  const allowedOrigin = 'https://app.example.com';
+  let http;
+  let createServer;
+  let startHttpServer;
+  
+  before(async () => {
+    ({ createServer } = await import('./server.js'));
+    ({ startHttpServer } = await import('./httpServer.js'));
+    http = await startHttpServer(createServer, { port: 0, authTokens: [token], allowedOrigins: [allowedOrigin] });
+  });
+  
+  after(() => {
+    http.server.close();
+  });
+  
+  function initializeRequest(headers = {}) {
+    return fetch(http.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...headers,
+      },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'fetch', version: '0.1.0' } },
+      }),
+    });
+  }
+  
+  test('serves the tools over Streamable HTTP', async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(http.url), {
+      requestInit: { headers: { Authorization: `Bearer ${token}` } },
+    });
+    const httpClient = new Client({ name: 'probo-mcp-http-test', version: '0.1.0' });
+    await httpClient.connect(transport);
+    
+    assert.ok(transport.sessionId);
+    assert.equal(http.sessions.get(transport.sessionId).type, 'streamable');
+    
+    const { tools } = await httpClient.listTools();
+    assert.ok(tools.some(tool => tool.name === 'placeOrder'));
+    
+    const result = await httpClient.callTool({ name: 'getProduct', arguments: { productCode: 'banner-510' } });
+    assert.equal(Boolean(result.isError), false);
+    
+    const sessionId = transport.sessionId;
+    await transport.terminateSession();
+    await httpClient.close();
+    assert.equal(http.sessions.has(sessionId), false);
+  });
+  
+  test('serves the tools over the SSE fallback', async () => {
+    const authorize = (url, init) => fetch(url, { ...init, headers: { ...init?.headers, Authorization: `Bearer ${token}` } });
+    const transport = new SSEClientTransport(new URL('/sse', http.url), {
+      eventSourceInit: { fetch: authorize },
+      requestInit: { headers: { Authorization: `Bearer ${token}` } },
+    });
+    const sseClient = new Client({ name: 'probo-mcp-sse-test', version: '0.1.0' });
+    await sseClient.connect(transport);
+    
+    const { tools } = await sseClient.listTools();
+    assert.ok(tools.some(tool => tool.name === 'placeOrder'));
+    assert.equal([...http.sessions.values()].filter(session => session.type === 'sse').length, 1);
+    
+    await sseClient.close();
+  });
+  
+  test('rejects requests without a valid bearer token', async () => {
+    for (const headers of [{}, { Authorization: 'Bearer wrong-token' }, { Authorization: `Basic ${token}` }]) {
+      const response = await initializeRequest(headers);
+      assert.equal(response.status, 401);
+      assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+    }
+  });
+  
+  test('rejects browser requests from other origins', async () => {
+    const response = await initializeRequest({ Authorization: `Bearer ${token}`, Origin: 'https://evil.example.com' });
+    
+    assert.equal(response.status, 403);
+    assert.equal(response.headers.get('access-control-allow-origin'), null);
+  });
+  
+  test('answers CORS preflight requests for allowed origins', async () => {
+    const response = await fetch(http.url, {
+      method: 'OPTIONS',
+      headers: { Origin: allowedOrigin, 'Access-Control-Request-Method': 'POST' },
+    });
+    
+    assert.equal(response.status, 204);
+    assert.equal(response.headers.get('access-control-allow-origin'), allowedOrigin);
+    assert.match(response.headers.get('access-control-allow-headers'), /Mcp-Session-Id/);
+    assert.equal(response.headers.get('access-control-expose-headers'), 'Mcp-Session-Id');
+  });
+  
+  test('requires an initialize request to start a session', async () => {
+    const response = await fetch(http.url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+    
+    assert.equal(response.status, 400);
+  });
+  
+  test('rejects unknown session ids', async () => {
+    const response = await fetch(http.url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        'Mcp-Session-Id': 'unknown-session',
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+    
+    assert.equal(response.status, 404);
+    assert.match((await response.json()).error.message, /Session not found/);
+  });
+  
+  test('needs a bearer token to start', () => {
+    assert.throws(() => startHttpServer(createServer, { port: 0, authTokens: [] }), /MCP_AUTH_TOKENS/);
+  });
+  
+  test('reads the transport from the command line', async () => {
+    const { getTransportOption } = await import('./server.js');
+    
+    assert.equal(getTransportOption([]), 'stdio');
+    assert.equal(getTransportOption(['--transport', 'http']), 'http');
+    assert.equal(getTransportOption(['--transport=stdio']), 'stdio');
+    assert.throws(() => getTransportOption(['--transport', 'websocket']), /--transport must be one of: stdio, http/);
+  });
+});
+
+describe('formatResult', () => {
+  test('marks failed tool calls with isError and includes the message', async () => {
+    const result = await callTool('cancelOrder', { orderId: 'does-not-exist' });
+    
+    assert.equal(result.isError, true);
+    assert.match(result.message, /^Error: .*Order does not exist/);
+    assert.equal(result.data.error, result.message.replace(/^Error: /, ''));
+  });
+  
+  test('leaves isError false on success', async () => {
+    const result = await client.callTool({ name: 'searchProducts', arguments: {} });
+    
+    assert.equal(result.isError, false);
+    assert.equal(result.content.length, 2);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * specSchemas.js
+ * Builds zod schemas for tool inputs from probo-api-spec.json
+ */
+
+import { z } from 'zod';
+import { getSchema } from './apiSpec.js';
+
+// Converted definitions, keyed by definition name
+const definitionSchemas = new Map();
+
+/**
+ * Zod schema for the schema at a JSON pointer in the spec
+ * @param {string} pointer - JSON pointer, e.g. "#/definitions/Address"
+ * @returns {z.ZodTypeAny} Zod schema
+ */
+export function specSchema(pointer) {
+  return toZod(getSchema(pointer));
+}
+
+/**
+ * Zod object for a spec object with every field name prefixed, e.g. address_city for city
+ * @param {string} pointer - JSON pointer to an object schema
+ * @param {string} prefix - Prefix for the field names
+ * @param {Object} [options={}] - Conversion options
+ * @param {Array<string>} [options.optional=[]] - Required fields in the spec that may be left out
+ * @returns {z.ZodObject} Zod object schema
+ */
+export function prefixedSpecSchema(pointer, prefix, options = {}) {
+  const schema = resolve(getSchema(pointer));
+  const optionalFields = options.optional || [];
+  
+  const shape = Object.fromEntries(
+    Object.entries(schema.properties || {}).map(([key, property]) => {
+      const field = toZod(property);
+      const required = (schema.required || []).includes(key) && !optionalFields.includes(key);
+      return [`${prefix}${key}`, required ? field : field.optional()];
+    })
+  );
+  
+  return z.object(shape);
+}
+
+/**
+ * Converts a spec schema to zod
+ * @param {Object} schema - Schema from the spec
+ * @returns {z.ZodTypeAny} Zod schema
+ */
+function toZod(schema) {
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/definitions/', '');
+    
+    if (!definitionSchemas.has(name)) {
+      definitionSchemas.set(name, toZod(getSchema(schema.$ref)));
+    }
+    
+    return definitionSchemas.get(name);
+  }
+  
+  const converted = convertType(schema);
+  return schema.description ? converted.describe(schema.description) : converted;
+}
+
+function convertType(schema) {
+  if (schema['x-amf-union']) {
+    const variants = schema['x-amf-union'].map(toZod);
+    return variants.length === 1 ? variants[0] : z.union(variants);
+  }
+  
+  if (schema.enum) {
+    return schema.enum.every(value => typeof value === 'string')
+      ? z.enum(schema.enum)
+      : z.union(schema.enum.map(value => z.literal(value)));
+  }
+  
+  switch (schema.type) {
+    case 'string': {
+      let converted = z.string();
+      
+      if (schema.format === 'email') {
+        converted = converted.email();
+      }
+      
+      if (schema.minLength !== undefined) {
+        converted = converted.min(schema.minLength);
+      }
+      
+      if (schema.maxLength !== undefined) {
+        converted = converted.max(schema.maxLength);
+      }
+      
+      if (schema.pattern) {
+        converted = converted.regex(new RegExp(schema.pattern));
+      }
+      
+      return converted;
+    }
+    
+    case 'integer':
+    case 'number': {
+      let converted = schema.type === 'integer' ? z.number().int() : z.number();
+      
+      if (schema.minimum !== undefined) {
+        converted = converted.min(schema.minimum);
+      }
+      
+      return converted;
+    }
+    
+    case 'boolean':
+      return z.boolean();
+    
+    case 'null':
+      return z.null();
+    
+    case 'array': {
+      let converted = z.array(schema.items ? toZod(schema.items) : z.any());
+      
+      if (schema.minItems !== undefined) {
+        converted = converted.min(schema.minItems);
+      }
+      
+      if (schema.maxItems !== undefined) {
+        converted = converted.max(schema.maxItems);
+      }
+      
+      return converted;
+    }
+    
+    case 'object':
+      return convertObject(schema);
+    
+    default:
+      return schema.properties ? convertObject(schema) : z.any();
+  }
+}
+
+function convertObject(schema) {
+  const shape = Object.fromEntries(
+    Object.entries(schema.properties || {}).map(([key, property]) => {
+      const field = toZod(property);
+      return [key, (schema.required || []).includes(key) ? field : field.optional()];
+    })
+  );
+  
+  const converted = z.object(shape);
+  return schema.additionalProperties === false ? converted.strict() : converted.passthrough();
+}
+
+function resolve(schema) {
+  return schema.$ref ? resolve(getSchema(schema.$ref)) : schema;
+}
+
+export default {
+  specSchema,
+  prefixedSpecSchema,
+};
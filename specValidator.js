@@ -0,0 +1,227 @@
+/**
+ * specValidator.js
+ * Validates request bodies against the schemas in probo-api-spec.json
+ */
+
+import spec, { getRequestBodySchema } from './apiSpec.js';
+
+// Compiled validators, keyed by definition name and by "METHOD path"
+const definitionValidators = new Map();
+const requestValidators = new Map();
+
+/**
+ * Validates a request body against the body schema of an API endpoint
+ * @param {string} method - HTTP method
+ * @param {string} path - API path, a query string is ignored
+ * @param {Object} body - Request body
+ * @returns {Array<string>} Field-level errors, empty when the body is valid or the endpoint has no body schema
+ */
+export function validateRequestBody(method, path, body) {
+  const validator = getRequestValidator(method.toLowerCase(), path.split('?')[0]);
+  if (!validator) {
+    return [];
+  }
+  
+  const errors = [];
+  validator(body, '', errors);
+  return errors;
+}
+
+/**
+ * Throws when a request body does not match its schema in the API spec
+ * @param {string} method - HTTP method
+ * @param {string} path - API path
+ * @param {Object} body - Request body
+ * @throws {Error} Error with the field-level errors in validationErrors
+ */
+export function assertValidRequest(method, path, body) {
+  const errors = validateRequestBody(method, path, body);
+  
+  if (errors.length > 0) {
+    const error = new Error('Request validation failed');
+    error.validationErrors = errors;
+    throw error;
+  }
+}
+
+function getRequestValidator(method, path) {
+  const key = `${method.toUpperCase()} ${path}`;
+  
+  if (!requestValidators.has(key)) {
+    const bodySchema = getRequestBodySchema(method, path);
+    requestValidators.set(key, bodySchema ? compileSchema(bodySchema) : null);
+  }
+  
+  return requestValidators.get(key);
+}
+
+/**
+ * Compiles a schema into a function that collects errors for a value
+ * @param {Object} schema - Schema from the spec
+ * @returns {Function} Validator taking (value, path, errors)
+ */
+function compileSchema(schema) {
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/definitions/', '');
+    
+    // Resolved on first use, so definitions that refer to each other compile
+    return (value, path, errors) => getDefinitionValidator(name)(value, path, errors);
+  }
+  
+  // A union matches when any of its variants does. Report the closest variant otherwise.
+  if (schema['x-amf-union']) {
+    const variants = schema['x-amf-union'].map(compileSchema);
+    
+    return (value, path, errors) => {
+      const attempts = [];
+      
+      for (const variant of variants) {
+        const variantErrors = [];
+        variant(value, path, variantErrors);
+        
+        if (variantErrors.length === 0) {
+          return;
+        }
+        
+        attempts.push(variantErrors);
+      }
+      
+      errors.push(...attempts.reduce((closest, attempt) => attempt.length < closest.length ? attempt : closest));
+    };
+  }
+  
+  const checks = [];
+  
+  if (schema.enum) {
+    checks.push((value, label, errors) => {
+      if (!schema.enum.includes(value)) {
+        errors.push(`${label}: The value you selected is not a valid choice.`);
+      }
+    });
+  }
+  
+  if (schema.minLength !== undefined || schema.maxLength !== undefined || schema.pattern) {
+    const pattern = schema.pattern ? new RegExp(schema.pattern) : null;
+    
+    checks.push((value, label, errors) => {
+      if (typeof value !== 'string') {
+        return;
+      }
+      
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${label}: This value is too short. It should have ${schema.minLength} characters or more.`);
+      }
+      
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${label}: This value is too long. It should have ${schema.maxLength} characters or less.`);
+      }
+      
+      if (pattern && !pattern.test(value)) {
+        errors.push(`${label}: This value is not valid.`);
+      }
+    });
+  }
+  
+  if (schema.minimum !== undefined) {
+    checks.push((value, label, errors) => {
+      if (typeof value === 'number' && value < schema.minimum) {
+        errors.push(`${label}: This value should be ${schema.minimum} or more.`);
+      }
+    });
+  }
+  
+  if (schema.type === 'array' || schema.items) {
+    const validateItem = schema.items ? compileSchema(schema.items) : null;
+    
+    checks.push((value, label, errors, path) => {
+      if (!Array.isArray(value)) {
+        return;
+      }
+      
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${label}: This collection should contain ${schema.minItems} element or more.`);
+      }
+      
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${label}: This collection should contain ${schema.maxItems} elements or less.`);
+      }
+      
+      if (validateItem) {
+        value.forEach((item, index) => validateItem(item, `${path}[${index}]`, errors));
+      }
+    });
+  }
+  
+  if (schema.type === 'object' || schema.properties) {
+    const properties = Object.fromEntries(
+      Object.entries(schema.properties || {}).map(([key, propertySchema]) => [key, compileSchema(propertySchema)])
+    );
+    
+    checks.push((value, label, errors, path) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return;
+      }
+      
+      const childPath = key => (path ? `${path}.${key}` : key);
+      
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          errors.push(`${childPath(key)}: This field is missing.`);
+        }
+      });
+      
+      if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+        errors.push(`${label}: This value should not be blank.`);
+      }
+      
+      Object.entries(value).forEach(([key, propertyValue]) => {
+        if (properties[key]) {
+          properties[key](propertyValue, childPath(key), errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${childPath(key)}: This field was not expected.`);
+        }
+      });
+    });
+  }
+  
+  return (value, path, errors) => {
+    const label = path || 'body';
+    
+    if (schema.type && !matchesType(value, schema.type)) {
+      errors.push(`${label}: This value should be of type ${schema.type}.`);
+      return;
+    }
+    
+    checks.forEach(check => check(value, label, errors, path));
+  };
+}
+
+function getDefinitionValidator(name) {
+  if (!definitionValidators.has(name)) {
+    definitionValidators.set(name, compileSchema(spec.definitions[name]));
+  }
+  
+  return definitionValidators.get(name);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number';
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+export default {
+  validateRequestBody,
+  assertValidRequest,
+};
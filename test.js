@@ -6,6 +6,7 @@
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
 import dotenv from 'dotenv';
+import { startMockServer } from './mockServer.js';
 
 // Load environment variables
 dotenv.config();
@@ -45,6 +46,16 @@ async function runTests() {
   try {
     console.log('Starting Probo MCP server tests...');
     
+    // Run against the local mock server instead of the live API
+    let mockServer = null;
+    if (process.env.PROBO_API_URL === 'mock') {
+      const mock = await startMockServer();
+      mockServer = mock.server;
+      // The mock accepts any key, but the server refuses to start without one
+      process.env.PROBO_API_KEY = process.env.PROBO_API_KEY || 'mock';
+      console.log(`Using Probo API mock at ${mock.url}`);
+    }
+    
     const client = new Client({
       name: 'probo-mcp-test-suite',
       version: '0.1.0',
@@ -54,6 +65,7 @@ async function runTests() {
     await client.connect(new StdioClientTransport({
       command: 'node',
       args: ['server.js'],
+      env: process.env,
     }));
     
     console.log('Connected to server successfully!');
@@ -61,11 +73,33 @@ async function runTests() {
     // Define tools we know are available
     const toolNames = [
       'searchProducts',
+      'getProduct',
+      'syncCatalogue',
+      'getProductTiers',
+      'listCustomerProducts',
+      'getCustomerProduct',
       'configureProduct',
+      'startConfiguration',
+      'answerConfiguration',
+      'createUploader',
+      'preflightArtwork',
       'placeOrder',
+      'prepareOrder',
+      'confirmOrder',
+      'createDraft',
+      'getOrderPrice',
+      'listShippingMethods',
       'getOrderStatus',
       'getAllOrders',
-      'cancelOrder'
+      'createProject',
+      'listProjects',
+      'createTicket',
+      'listTickets',
+      'cancelOrder',
+      'submitHeldOrder',
+      'releaseOrder',
+      'listAccounts',
+      'selectAccount'
     ];
     
     console.log(`Expected available tools (${toolNames.length}):`);
@@ -240,8 +274,191 @@ async function runTests() {
       console.log(`Retrieved ${ordersData?.orders?.length || 0} orders`);
     }
     
+    // Test 7: Get Order Price (only if configuration succeeded)
+    if (configuration) {
+      console.log('\n--- Test 7: Get Order Price ---');
+      const priceResult = await client.callTool({
+        name: 'getOrderPrice',
+        arguments: {
+          configuration,
+          address: testAddress,
+        },
+      });
+      console.log('Order price retrieval:', priceResult.isError ? 'ERROR' : 'SUCCESS');
+      if (priceResult.isError) {
+        console.error('Error:', priceResult.content[0].text);
+      } else {
+        const priceData = parseResponseData(priceResult);
+        const firstOption = priceData?.prices?.[0];
+        console.log(`Retrieved ${priceData?.prices?.length || 0} price options`);
+        if (firstOption) {
+          console.log(`Delivery date: ${firstOption.delivery_date || 'N/A'}`);
+          console.log(`Total (excl. VAT): ${firstOption.total?.purchase_price ?? 'N/A'}`);
+          console.log(`Total (incl. VAT): ${firstOption.total?.purchase_price_incl_vat ?? 'N/A'}`);
+        }
+      }
+    }
+    
+    // Test 8: Get Product
+    console.log('\n--- Test 8: Get Product ---');
+    const productResult = await client.callTool({
+      name: 'getProduct',
+      arguments: {
+        productCode,
+        language: 'en',
+      },
+    });
+    console.log('Product retrieval:', productResult.isError ? 'ERROR' : 'SUCCESS');
+    if (productResult.isError) {
+      console.error('Error:', productResult.content[0].text);
+    } else {
+      const productData = parseResponseData(productResult);
+      console.log(`Product ${productData?.code || 'N/A'} has ${productData?.options?.length || 0} top-level options`);
+      console.log('Dimensions:', JSON.stringify(productData?.dimensions || {}));
+    }
+    
+    // Test 9: Get Product Tiers
+    console.log('\n--- Test 9: Get Product Tiers ---');
+    const tiersResult = await client.callTool({
+      name: 'getProductTiers',
+      arguments: {
+        productCode,
+      },
+    });
+    console.log('Product tiers retrieval:', tiersResult.isError ? 'ERROR' : 'SUCCESS');
+    if (tiersResult.isError) {
+      console.error('Error:', tiersResult.content[0].text);
+    } else {
+      const tiersData = parseResponseData(tiersResult);
+      const firstVariant = tiersData?.products?.[0];
+      console.log(`Retrieved tiers for ${tiersData?.products?.length || 0} product variants`);
+      firstVariant?.tiers?.forEach(tier => {
+        console.log(`- ${tier.amount} pcs: ${tier.unit_price} per unit, ${tier.total_price} total`);
+      });
+    }
+    
+    // Test 10: List Customer Products
+    console.log('\n--- Test 10: List Customer Products ---');
+    const customerProductsResult = await client.callTool({
+      name: 'listCustomerProducts',
+      arguments: {
+        page: 1,
+        per_page: 5,
+      },
+    });
+    console.log('Customer products retrieval:', customerProductsResult.isError ? 'ERROR' : 'SUCCESS');
+    if (customerProductsResult.isError) {
+      console.error('Error:', customerProductsResult.content[0].text);
+    } else {
+      const customerProductsData = parseResponseData(customerProductsResult);
+      console.log(`Found ${customerProductsData?.products?.length || 0} customer products`);
+      
+      // Test 11: Get Customer Product (only if the account has customer products)
+      const customerCode = customerProductsData?.products?.[0]?.customer_code;
+      if (customerCode) {
+        console.log('\n--- Test 11: Get Customer Product ---');
+        const customerProductResult = await client.callTool({
+          name: 'getCustomerProduct',
+          arguments: {
+            customerCode,
+          },
+        });
+        console.log('Customer product retrieval:', customerProductResult.isError ? 'ERROR' : 'SUCCESS');
+        if (customerProductResult.isError) {
+          console.error('Error:', customerProductResult.content[0].text);
+        } else {
+          const customerProductData = parseResponseData(customerProductResult);
+          console.log(`Customer product ${customerCode} is based on ${customerProductData?.code || 'N/A'}`);
+        }
+      }
+    }
+    
+    // Test 12: List Shipping Methods
+    console.log('\n--- Test 12: List Shipping Methods ---');
+    const shippingResult = await client.callTool({
+      name: 'listShippingMethods',
+      arguments: {
+        language: 'en',
+      },
+    });
+    console.log('Shipping methods retrieval:', shippingResult.isError ? 'ERROR' : 'SUCCESS');
+    if (shippingResult.isError) {
+      console.error('Error:', shippingResult.content[0].text);
+    } else {
+      const shippingData = parseResponseData(shippingResult);
+      console.log(`Found ${shippingData?.shipping_methods?.length || 0} shipping methods`);
+      shippingData?.shipping_methods?.slice(0, 5).forEach(method => {
+        console.log(`- ${method.code || 'N/A'}: ${method.title || 'Untitled'}`);
+      });
+    }
+    
+    // Test 13: Create Draft (only if configuration succeeded)
+    if (configuration) {
+      console.log('\n--- Test 13: Create Draft ---');
+      const draftResult = await client.callTool({
+        name: 'createDraft',
+        arguments: {
+          configuration,
+          address: testAddress,
+          reference: 'MCP Test Draft',
+          additionalOptions: {
+            draftId: `test-draft-${Date.now()}`
+          }
+        },
+      });
+      console.log('Draft creation:', draftResult.isError ? 'ERROR' : 'SUCCESS');
+      if (draftResult.isError) {
+        console.error('Error:', draftResult.content[0].text);
+      } else {
+        const draftData = parseResponseData(draftResult);
+        console.log(`Draft ID: ${draftData?.id || 'N/A'}`);
+      }
+    }
+    
+    // Test 14: List Projects
+    console.log('\n--- Test 14: List Projects ---');
+    const projectsResult = await client.callTool({
+      name: 'listProjects',
+      arguments: {
+        filters: {
+          page: 1,
+          per_page: 5,
+        },
+      },
+    });
+    console.log('Projects retrieval:', projectsResult.isError ? 'ERROR' : 'SUCCESS');
+    if (projectsResult.isError) {
+      console.error('Error:', projectsResult.content[0].text);
+    } else {
+      const projectsData = parseResponseData(projectsResult);
+      console.log(`Retrieved ${projectsData?.projects?.length || 0} projects`);
+    }
+    
+    // Test 15: List Tickets
+    console.log('\n--- Test 15: List Tickets ---');
+    const ticketsResult = await client.callTool({
+      name: 'listTickets',
+      arguments: {
+        filters: {
+          page: 1,
+          per_page: 5,
+        },
+      },
+    });
+    console.log('Tickets retrieval:', ticketsResult.isError ? 'ERROR' : 'SUCCESS');
+    if (ticketsResult.isError) {
+      console.error('Error:', ticketsResult.content[0].text);
+    } else {
+      const ticketsData = parseResponseData(ticketsResult);
+      console.log(`Retrieved ${ticketsData?.tickets?.length || 0} tickets`);
+    }
+    
     // Close client
     await client.close();
+    
+    if (mockServer) {
+      mockServer.close();
+    }
     console.log('\nAll tests completed!');
     
   } catch (error) {